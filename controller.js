@@ -1,32 +1,7 @@
 console.log('controller loaded');
 
-//files = [test_folder, test_file, test_file2]
 this_user = 'administrator'; // by default, we are acting as if the user of the system is the user 'administrator', who is automatically part of the 'admin' group.
 
-// The canonical "correct" permission states to validate a solution against (for student solutions to their own interfaces)
-// TODO: load from correct_scenario_summary?.. still depends on that getting updated properly.
-correct_scenario_solutions = {
-    remove_user_with_inheritance:
-        '0:0:0;0:0:1;0:0:2;0:0:3;0:0:4;0:0:5;0:0:6;0:0:7;0:0:8;0:0:9;0:0:10;0:0:11;0:0:12;1:0:0;1:0:1;1:0:2;1:0:3;1:0:4;1:0:5;1:0:6;1:0:7;1:0:8;1:0:9;1:0:10;1:0:11;1:0:12;1:1:1;1:1:2;1:1:3;1:1:4;1:1:5;1:1:6;1:1:7;1:1:8;1:1:9;1:1:10;1:1:11;1:1:12;1:2:1;1:2:2;1:2:3;1:2:4;1:2:5;1:2:6;1:2:7;1:2:8;1:2:9;1:2:10;1:3:1;1:3:2;1:3:3;1:3:4;1:3:5;1:3:6;1:3:7;1:3:8;1:3:9;1:3:10;2:0:0;2:0:1;2:0:2;2:0:3;2:0:4;2:0:5;2:0:6;2:0:7;2:0:8;2:0:9;2:0:10;2:0:11;2:0:12;2:1:1;2:1:2;2:1:3;2:1:4;2:1:5;2:1:6;2:1:7;2:1:8;2:1:9;2:1:10;2:1:11;2:1:12;2:2:1;2:2:2;2:2:3;2:2:4;2:2:5;2:2:6;2:2:7;2:2:8;2:2:9;2:2:10;',
-    lost_inheritance:
-        '0:0:0;0:0:1;0:0:2;0:0:3;0:0:4;0:0:5;0:0:6;0:0:7;0:0:8;0:0:9;0:0:10;0:0:11;0:0:12;1:0:0;1:0:1;1:0:2;1:0:3;1:0:4;1:0:5;1:0:6;1:0:7;1:0:8;1:0:9;1:0:10;1:0:11;1:0:12;1:1:1;1:1:2;1:1:3;1:1:4;1:1:5;1:1:6;1:1:7;1:1:8;1:1:9;1:1:10;1:1:11;1:1:12;1:3:1;1:3:2;1:3:3;1:3:4;1:3:5;1:3:6;1:3:7;1:3:8;1:3:9;1:3:10;2:0:0;2:0:1;2:0:2;2:0:3;2:0:4;2:0:5;2:0:6;2:0:7;2:0:8;2:0:9;2:0:10;2:0:11;2:0:12;2:1:1;2:1:2;2:1:3;2:1:4;2:1:5;2:1:6;2:1:7;2:1:8;2:1:9;2:1:10;2:1:11;2:1:12;2:3:1;2:3:2;2:3:3;2:3:4;2:3:5;2:3:6;2:3:7;2:3:8;2:3:9;2:3:10;3:0:0;3:0:1;3:0:2;3:0:3;3:0:4;3:0:5;3:0:6;3:0:7;3:0:8;3:0:9;3:0:10;3:0:11;3:0:12;3:1:1;3:1:2;3:1:3;3:1:4;3:1:5;3:1:6;3:1:7;3:1:8;3:1:9;3:1:10;3:1:11;3:1:12;3:3:1;3:3:2;3:3:3;3:3:4;3:3:5;3:3:6;3:3:7;3:3:8;3:3:9;3:3:10;4:0:0;4:0:1;4:0:2;4:0:3;4:0:4;4:0:5;4:0:6;4:0:7;4:0:8;4:0:9;4:0:10;4:0:11;4:0:12;4:1:1;4:1:2;4:1:3;4:1:4;4:1:5;4:1:6;4:1:7;4:1:8;4:1:9;4:1:10;4:1:11;4:1:12;4:3:1;4:3:2;4:3:3;4:3:4;4:3:5;4:3:6;4:3:7;4:3:8;4:3:9;4:3:10;5:0:0;5:0:1;5:0:2;5:0:3;5:0:4;5:0:5;5:0:6;5:0:7;5:0:8;5:0:9;5:0:10;5:0:11;5:0:12;5:1:1;5:1:2;5:1:3;5:1:4;5:1:5;5:1:6;5:1:7;5:1:8;5:1:9;5:1:10;5:1:11;5:1:12;5:3:1;5:3:2;5:3:3;5:3:4;5:3:5;5:3:6;5:3:7;5:3:8;5:3:9;5:3:10;',
-    intern_permissions:
-        '0:0:0;0:0:1;0:0:2;0:0:3;0:0:4;0:0:5;0:0:6;0:0:7;0:0:8;0:0:9;0:0:10;0:0:11;0:0:12;1:0:0;1:0:1;1:0:2;1:0:3;1:0:4;1:0:5;1:0:6;1:0:7;1:0:8;1:0:9;1:0:10;1:0:11;1:0:12;1:1:1;1:1:2;1:1:3;1:1:4;1:1:5;1:1:6;1:1:7;1:1:8;1:1:9;1:1:10;1:1:11;1:1:12;1:2:1;1:2:2;1:2:3;1:2:4;1:2:5;1:2:6;1:2:7;1:2:8;1:2:9;1:2:10;1:3:1;1:3:2;1:3:3;1:3:10;2:0:0;2:0:1;2:0:2;2:0:3;2:0:4;2:0:5;2:0:6;2:0:7;2:0:8;2:0:9;2:0:10;2:0:11;2:0:12;2:1:1;2:1:2;2:1:3;2:1:4;2:1:5;2:1:6;2:1:7;2:1:8;2:1:9;2:1:10;2:1:11;2:1:12;2:2:1;2:2:2;2:2:3;2:2:4;2:2:5;2:2:6;2:2:7;2:2:8;2:2:9;2:2:10;2:3:1;2:3:2;2:3:3;2:3:10;3:0:0;3:0:1;3:0:2;3:0:3;3:0:4;3:0:5;3:0:6;3:0:7;3:0:8;3:0:9;3:0:10;3:0:11;3:0:12;3:1:1;3:1:2;3:1:3;3:1:4;3:1:5;3:1:6;3:1:7;3:1:8;3:1:9;3:1:10;3:1:11;3:1:12;3:2:1;3:2:2;3:2:3;3:2:4;3:2:5;3:2:6;3:2:7;3:2:8;3:2:9;3:2:10;3:3:1;3:3:2;3:3:3;3:3:10;4:0:0;4:0:1;4:0:2;4:0:3;4:0:4;4:0:5;4:0:6;4:0:7;4:0:8;4:0:9;4:0:10;4:0:11;4:0:12;4:1:1;4:1:2;4:1:3;4:1:4;4:1:5;4:1:6;4:1:7;4:1:8;4:1:9;4:1:10;4:1:11;4:1:12;4:2:1;4:2:2;4:2:3;4:2:4;4:2:5;4:2:6;4:2:7;4:2:8;4:2:9;4:2:10;4:2:11;4:2:12;4:3:1;4:3:2;4:3:3;4:3:4;4:3:5;4:3:6;4:3:7;4:3:10;5:0:0;5:0:1;5:0:2;5:0:3;5:0:4;5:0:5;5:0:6;5:0:7;5:0:8;5:0:9;5:0:10;5:0:11;5:0:12;5:1:1;5:1:2;5:1:3;5:1:4;5:1:5;5:1:6;5:1:7;5:1:8;5:1:9;5:1:10;5:1:11;5:1:12;5:2:1;5:2:2;5:2:3;5:2:4;5:2:5;5:2:6;5:2:7;5:2:8;5:2:9;5:2:10;5:2:11;5:2:12;5:3:1;5:3:2;5:3:3;5:3:4;5:3:5;5:3:6;5:3:7;5:3:10;6:0:0;6:0:1;6:0:2;6:0:3;6:0:4;6:0:5;6:0:6;6:0:7;6:0:8;6:0:9;6:0:10;6:0:11;6:0:12;6:1:1;6:1:2;6:1:3;6:1:4;6:1:5;6:1:6;6:1:7;6:1:8;6:1:9;6:1:10;6:1:11;6:1:12;6:2:1;6:2:2;6:2:3;6:2:4;6:2:5;6:2:6;6:2:7;6:2:8;6:2:9;6:2:10;6:2:11;6:2:12;6:3:1;6:3:2;6:3:3;6:3:4;6:3:5;6:3:6;6:3:7;6:3:10;',
-    add_full_permissions:
-        '0:0:0;0:0:1;0:0:2;0:0:3;0:0:4;0:0:5;0:0:6;0:0:7;0:0:8;0:0:9;0:0:10;0:0:11;0:0:12;1:0:0;1:0:1;1:0:2;1:0:3;1:0:4;1:0:5;1:0:6;1:0:7;1:0:8;1:0:9;1:0:10;1:0:11;1:0:12;1:1:1;1:1:2;1:1:3;1:1:4;1:1:5;1:1:6;1:1:7;1:1:8;1:1:9;1:1:10;1:1:11;1:1:12;1:2:1;1:2:2;1:2:3;1:2:4;1:2:5;1:2:6;1:2:7;1:2:8;1:2:9;1:2:10;1:3:1;1:3:2;1:3:3;1:3:4;1:3:5;1:3:6;1:3:7;1:3:8;1:3:9;1:3:10;1:4:0;1:4:1;1:4:2;1:4:3;1:4:4;1:4:5;1:4:6;1:4:7;1:4:8;1:4:9;1:4:10;1:4:11;1:4:12;2:0:0;2:0:1;2:0:2;2:0:3;2:0:4;2:0:5;2:0:6;2:0:7;2:0:8;2:0:9;2:0:10;2:0:11;2:0:12;2:1:1;2:1:2;2:1:3;2:1:4;2:1:5;2:1:6;2:1:7;2:1:8;2:1:9;2:1:10;2:1:11;2:1:12;2:2:1;2:2:2;2:2:3;2:2:4;2:2:5;2:2:6;2:2:7;2:2:8;2:2:9;2:2:10;2:3:1;2:3:2;2:3:3;2:3:4;2:3:5;2:3:6;2:3:7;2:3:8;2:3:9;2:3:10;2:4:0;2:4:1;2:4:2;2:4:3;2:4:4;2:4:5;2:4:6;2:4:7;2:4:8;2:4:9;2:4:10;2:4:11;2:4:12;3:0:0;3:0:1;3:0:2;3:0:3;3:0:4;3:0:5;3:0:6;3:0:7;3:0:8;3:0:9;3:0:10;3:0:11;3:0:12;3:1:1;3:1:2;3:1:3;3:1:4;3:1:5;3:1:6;3:1:7;3:1:8;3:1:9;3:1:10;3:1:11;3:1:12;3:2:1;3:2:2;3:2:3;3:2:4;3:2:5;3:2:6;3:2:7;3:2:8;3:2:9;3:2:10;3:3:1;3:3:2;3:3:3;3:3:4;3:3:5;3:3:6;3:3:7;3:3:8;3:3:9;3:3:10;3:4:0;3:4:1;3:4:2;3:4:3;3:4:4;3:4:5;3:4:6;3:4:7;3:4:8;3:4:9;3:4:10;3:4:11;3:4:12;',
-    let_ta_modify:
-        '0:0:0;0:0:1;0:0:2;0:0:3;0:0:4;0:0:5;0:0:6;0:0:7;0:0:8;0:0:9;0:0:10;0:0:11;0:0:12;1:0:0;1:0:1;1:0:2;1:0:3;1:0:4;1:0:5;1:0:6;1:0:7;1:0:8;1:0:9;1:0:10;1:0:11;1:0:12;1:1:1;1:1:2;1:1:3;1:1:4;1:1:5;1:1:6;1:1:7;1:1:8;1:1:9;1:1:10;1:1:11;1:1:12;1:3:1;1:3:2;1:3:3;1:3:4;1:3:5;1:3:6;1:3:7;1:3:8;1:3:9;1:3:10;2:0:0;2:0:1;2:0:2;2:0:3;2:0:4;2:0:5;2:0:6;2:0:7;2:0:8;2:0:9;2:0:10;2:0:11;2:0:12;2:1:1;2:1:2;2:1:3;2:1:4;2:1:5;2:1:6;2:1:7;2:1:8;2:1:9;2:1:10;2:1:11;2:1:12;2:3:1;2:3:2;2:3:3;2:3:4;2:3:5;2:3:6;2:3:7;2:3:8;2:3:9;2:3:10;3:0:0;3:0:1;3:0:2;3:0:3;3:0:4;3:0:5;3:0:6;3:0:7;3:0:8;3:0:9;3:0:10;3:0:11;3:0:12;3:1:1;3:1:2;3:1:3;3:1:4;3:1:5;3:1:6;3:1:7;3:1:8;3:1:9;3:1:10;3:1:11;3:1:12;3:3:1;3:3:2;3:3:3;3:3:4;3:3:5;3:3:6;3:3:7;3:3:8;3:3:9;3:3:10;4:0:0;4:0:1;4:0:2;4:0:3;4:0:4;4:0:5;4:0:6;4:0:7;4:0:8;4:0:9;4:0:10;4:0:11;4:0:12;4:1:1;4:1:2;4:1:3;4:1:4;4:1:5;4:1:6;4:1:7;4:1:8;4:1:9;4:1:10;4:1:11;4:1:12;4:3:1;4:3:2;4:3:3;4:3:4;4:3:5;4:3:6;4:3:7;4:3:8;4:3:9;4:3:10;5:0:0;5:0:1;5:0:2;5:0:3;5:0:4;5:0:5;5:0:6;5:0:7;5:0:8;5:0:9;5:0:10;5:0:11;5:0:12;5:1:1;5:1:2;5:1:3;5:1:4;5:1:5;5:1:6;5:1:7;5:1:8;5:1:9;5:1:10;5:1:11;5:1:12;5:3:1;5:3:2;5:3:3;5:3:4;5:3:5;5:3:6;5:3:7;5:3:8;5:3:9;5:3:10;',
-    restrict_group_member:
-        '0:0:0;0:0:1;0:0:2;0:0:3;0:0:4;0:0:5;0:0:6;0:0:7;0:0:8;0:0:9;0:0:10;0:0:11;0:0:12;1:0:10;1:0:11;1:0:12;1:1:1;1:1:2;1:1:3;1:1:4;1:1:5;1:1:6;1:1:7;1:1:8;1:1:9;1:1:10;1:1:11;1:1:12;1:3:1;1:3:2;1:3:3;1:3:4;1:3:5;1:3:6;1:3:7;1:3:8;1:3:9;1:3:10;1:4:1;1:4:2;1:4:3;1:4:4;1:4:5;1:4:6;1:4:7;1:4:8;1:4:9;1:4:10;2:0:10;2:0:11;2:0:12;2:1:1;2:1:2;2:1:3;2:1:4;2:1:5;2:1:6;2:1:7;2:1:8;2:1:9;2:1:10;2:1:11;2:1:12;2:3:1;2:3:2;2:3:3;2:3:4;2:3:5;2:3:6;2:3:7;2:3:8;2:3:9;2:3:10;2:4:1;2:4:2;2:4:3;2:4:10;3:0:10;3:0:11;3:0:12;3:1:1;3:1:2;3:1:3;3:1:4;3:1:5;3:1:6;3:1:7;3:1:8;3:1:9;3:1:10;3:1:11;3:1:12;3:3:1;3:3:2;3:3:3;3:3:4;3:3:5;3:3:6;3:3:7;3:3:8;3:3:9;3:3:10;3:4:1;3:4:2;3:4:3;3:4:4;3:4:5;3:4:6;3:4:7;3:4:8;3:4:9;3:4:10;',
-    add_new_user:
-        '0:0:0;0:0:1;0:0:2;0:0:3;0:0:4;0:0:5;0:0:6;0:0:7;0:0:8;0:0:9;0:0:10;0:0:11;0:0:12;1:0:0;1:0:1;1:0:2;1:0:3;1:0:4;1:0:5;1:0:6;1:0:7;1:0:8;1:0:9;1:0:10;1:0:11;1:0:12;1:1:1;1:1:2;1:1:3;1:1:4;1:1:5;1:1:6;1:1:7;1:1:8;1:1:9;1:1:10;1:1:11;1:1:12;1:2:1;1:2:2;1:2:3;1:2:4;1:2:5;1:2:6;1:2:7;1:2:8;1:2:9;1:2:10;1:3:1;1:3:2;1:3:3;1:3:4;1:3:5;1:3:6;1:3:7;1:3:8;1:3:9;1:3:10;1:4:1;1:4:2;1:4:3;1:4:4;1:4:5;1:4:6;1:4:7;1:4:8;1:4:9;1:4:10;2:0:0;2:0:1;2:0:2;2:0:3;2:0:4;2:0:5;2:0:6;2:0:7;2:0:8;2:0:9;2:0:10;2:0:11;2:0:12;2:1:1;2:1:2;2:1:3;2:1:4;2:1:5;2:1:6;2:1:7;2:1:8;2:1:9;2:1:10;2:1:11;2:1:12;2:2:1;2:2:2;2:2:3;2:2:4;2:2:5;2:2:6;2:2:7;2:2:8;2:2:9;2:2:10;2:3:1;2:3:2;2:3:3;2:3:4;2:3:5;2:3:6;2:3:7;2:3:8;2:3:9;2:3:10;2:4:1;2:4:2;2:4:3;2:4:4;2:4:5;2:4:6;2:4:7;2:4:8;2:4:9;2:4:10;3:0:0;3:0:1;3:0:2;3:0:3;3:0:4;3:0:5;3:0:6;3:0:7;3:0:8;3:0:9;3:0:10;3:0:11;3:0:12;3:1:1;3:1:2;3:1:3;3:1:4;3:1:5;3:1:6;3:1:7;3:1:8;3:1:9;3:1:10;3:1:11;3:1:12;3:2:1;3:2:2;3:2:3;3:2:4;3:2:5;3:2:6;3:2:7;3:2:8;3:2:9;3:2:10;3:3:1;3:3:2;3:3:3;3:3:4;3:3:5;3:3:6;3:3:7;3:3:8;3:3:9;3:3:10;3:4:1;3:4:2;3:4:3;3:4:4;3:4:5;3:4:6;3:4:7;3:4:8;3:4:9;3:4:10;',
-    remove_inherited_permission:
-        '0:0:0;0:0:1;0:0:2;0:0:3;0:0:4;0:0:5;0:0:6;0:0:7;0:0:8;0:0:9;0:0:10;0:0:11;0:0:12;1:0:0;1:0:1;1:0:2;1:0:3;1:0:4;1:0:5;1:0:6;1:0:7;1:0:8;1:0:9;1:0:10;1:0:11;1:0:12;1:1:1;1:1:2;1:1:3;1:1:4;1:1:5;1:1:6;1:1:7;1:1:8;1:1:9;1:1:10;1:1:11;1:1:12;1:2:1;1:2:2;1:2:3;1:2:4;1:2:5;1:2:6;1:2:7;1:2:8;1:2:9;1:2:10;1:3:1;1:3:2;1:3:3;1:3:4;1:3:5;1:3:6;1:3:7;1:3:8;1:3:9;1:3:10;2:0:0;2:0:1;2:0:2;2:0:3;2:0:4;2:0:5;2:0:6;2:0:7;2:0:8;2:0:9;2:0:10;2:0:11;2:0:12;2:1:1;2:1:2;2:1:3;2:1:4;2:1:5;2:1:6;2:1:7;2:1:8;2:1:9;2:1:10;2:1:11;2:1:12;2:2:1;2:2:2;2:2:3;2:2:4;2:2:5;2:2:6;2:2:7;2:2:8;2:2:9;2:2:10;2:3:1;2:3:2;2:3:3;2:3:10;3:0:0;3:0:1;3:0:2;3:0:3;3:0:4;3:0:5;3:0:6;3:0:7;3:0:8;3:0:9;3:0:10;3:0:11;3:0:12;3:1:1;3:1:2;3:1:3;3:1:4;3:1:5;3:1:6;3:1:7;3:1:8;3:1:9;3:1:10;3:1:11;3:1:12;3:2:1;3:2:2;3:2:3;3:2:4;3:2:5;3:2:6;3:2:7;3:2:8;3:2:9;3:2:10;3:3:1;3:3:2;3:3:3;3:3:4;3:3:5;3:3:6;3:3:7;3:3:8;3:3:9;3:3:10;',
-    remove_direct_permission:
-        // '0:0:0;0:0:1;0:0:2;0:0:3;0:0:4;0:0:5;0:0:6;0:0:7;0:0:8;0:0:9;0:0:10;0:0:11;0:0:12;1:0:10;1:0:11;1:0:12;1:1:1;1:1:2;1:1:3;1:1:4;1:1:5;1:1:6;1:1:7;1:1:8;1:1:9;1:1:10;1:1:11;1:1:12;1:2:1;1:2:2;1:2:3;1:2:4;1:2:5;1:2:6;1:2:7;1:2:8;1:2:9;1:2:10;1:3:1;1:3:2;1:3:3;1:3:4;1:3:5;1:3:6;1:3:7;1:3:8;1:3:9;1:3:10;2:0:10;2:0:11;2:0:12;2:1:1;2:1:2;2:1:3;2:1:4;2:1:5;2:1:6;2:1:7;2:1:8;2:1:9;2:1:10;2:1:11;2:1:12;2:2:1;2:2:2;2:2:3;2:2:4;2:2:5;2:2:6;2:2:7;2:2:8;2:2:9;2:2:10;2:3:1;2:3:2;2:3:3;2:3:10;3:0:10;3:0:11;3:0:12;3:1:1;3:1:2;3:1:3;3:1:4;3:1:5;3:1:6;3:1:7;3:1:8;3:1:9;3:1:10;3:1:11;3:1:12;3:2:1;3:2:2;3:2:3;3:2:4;3:2:5;3:2:6;3:2:7;3:2:8;3:2:9;3:2:10;3:3:1;3:3:2;3:3:3;3:3:4;3:3:5;3:3:6;3:3:7;3:3:8;3:3:9;3:3:10;',
-        '0:0:0;0:0:1;0:0:2;0:0:3;0:0:4;0:0:5;0:0:6;0:0:7;0:0:8;0:0:9;0:0:10;0:0:11;0:0:12;1:0:10;1:0:11;1:0:12;1:1:1;1:1:2;1:1:3;1:1:4;1:1:5;1:1:6;1:1:7;1:1:8;1:1:9;1:1:10;1:1:11;1:1:12;1:2:1;1:2:2;1:2:3;1:2:4;1:2:5;1:2:6;1:2:7;1:2:8;1:2:9;1:2:10;1:3:1;1:3:2;1:3:3;1:3:4;1:3:5;1:3:6;1:3:7;1:3:8;1:3:9;1:3:10;2:0:10;2:0:11;2:0:12;2:1:1;2:1:2;2:1:3;2:1:4;2:1:5;2:1:6;2:1:7;2:1:8;2:1:9;2:1:10;2:1:11;2:1:12;2:2:1;2:2:2;2:2:3;2:2:4;2:2:5;2:2:6;2:2:7;2:2:8;2:2:9;2:2:10;3:0:10;3:0:11;3:0:12;3:1:1;3:1:2;3:1:3;3:1:4;3:1:5;3:1:6;3:1:7;3:1:8;3:1:9;3:1:10;3:1:11;3:1:12;3:2:1;3:2:2;3:2:3;3:2:4;3:2:5;3:2:6;3:2:7;3:2:8;3:2:9;3:2:10;3:3:1;3:3:2;3:3:3;3:3:4;3:3:5;3:3:6;3:3:7;3:3:8;3:3:9;3:3:10;'
-};
-
 // defines how the 13 permission settings in the model fit into the 5 groups of permissions exposed in the "basic" interface.
 permission_groups = {
     Read: [
@@ -86,15 +61,6 @@ permission_groups['Other'] = [
     permissions.TAKE_OWNERSHIP,
 ];
 
-// given a file object, generate the full path from root
-function get_full_path(file_obj) {
-    let path = '/' + file_obj.filename;
-    if (file_obj.parent !== null) {
-        path = get_full_path(file_obj.parent) + path;
-    }
-    return path;
-}
-
 path_to_file = {}; // map of file path to file object
 parent_to_children = {}; // map of parent folder to its children (using file path to identify parent uniquely)
 root_files = []; // files and folders at the root
@@ -123,6 +89,7 @@ function generate_file_user_ids() {
 
 //store the file-to-id and user-to-id data in the appropriate attribute:
 function log_file_user_ids() {
+    if (typeof $ === 'undefined') return; // (there is no page, e.g. in the unit tests)
     $('#html-loc').attr(
         'data-tag',
         JSON.stringify(filepath_to_id) +
@@ -138,6 +105,7 @@ function recompute_file_structure(display_files) {
     parent_to_children = {};
     root_files = [];
     all_users = {};
+    invalidate_effective_permissions(); // (the files and groups may be new)
 
     // recompute:
     for (let file of display_files) {
@@ -155,16 +123,27 @@ function recompute_file_structure(display_files) {
         }
 
         // Add user/group name to all_users
-        // TODO: also add each member of a given group?..
         all_users[get_user_name(file.owner)] = file.owner;
         for (let ace of file.acl) {
             all_users[get_user_name(ace.who)] = ace.who;
         }
     }
-    // TODO: also generate global list of users: name to user(string) or group(object)
-    // add admin users, even if they aren't involved in any file permissions.
-    for (let u of admin_group.users) {
-        all_users[get_user_name(u)] = u;
+    // add admin users and everyone in the directory, even if they aren't involved in any file permissions.
+    for (let u of get_group_members(admin_group)) {
+        all_users[u] = u;
+    }
+    for (let name in principal_directory) {
+        all_users[name] = principal_directory[name].principal;
+    }
+    // add the members of each group (and nested groups), so they can be picked on their own:
+    let add_members = function (group) {
+        for (let member of group.users) {
+            all_users[get_user_name(member)] = member;
+            if (!is_user(member)) add_members(member);
+        }
+    };
+    for (let user_or_group of Object.values(all_users)) {
+        if (!is_user(user_or_group)) add_members(user_or_group);
     }
 
     generate_file_user_ids();
@@ -172,15 +151,51 @@ function recompute_file_structure(display_files) {
 }
 recompute_file_structure(files);
 
+// snapshot the current files, groups, principal directory and owner rights policy as a JSON string (see serialize_world in model.js)
+function snapshot_world() {
+    return JSON.stringify(serialize_world(files));
+}
+
+// replace the current files, groups (including admin_group), principal directory and owner rights policy with a snapshot or stored fixture (JSON string or parsed object).
+// Returns the deserialized world (see deserialize_world).
+function load_world(world_data) {
+    let world = deserialize_world(typeof world_data === 'string' ? JSON.parse(world_data) : world_data);
+    files = world.files;
+    admin_group = world.admin_group;
+    owner_rights_policy = world.owner_rights_policy;
+    principal_directory = world.directory;
+    pending_change_events = []; // (changes to the old files don't mean anything anymore)
+    // nor do edits of the old files, which undo/redo would apply to the new ones:
+    undo_stack = [];
+    redo_stack = [];
+    if (pending_changeset !== null) {
+        pending_changeset = null;
+        hold_emit_state = false;
+    }
+    recompute_file_structure(files);
+    return world;
+}
+
+// a separate copy of the files as they were when the page loaded, for comparing against (see evaluate_expected_outcome)
+initial_path_to_file = {};
+for (let file of deserialize_world(serialize_world(files)).files) {
+    initial_path_to_file[get_full_path(file)] = file;
+}
+
 // get the users with ACEs for a given file object.
 // recursively follow inheritance if appropriate; following_inheritance flag indicates that this user has at least some inherited permissions.
+// target_file is the file we are originally asking about; inherited ACEs whose scope does not reach it are skipped.
 // returns a map of username to metadata about this file/user pair:
 //  - type: is this a user or a group?
 //  - inherited: does this user have any inherited permissions for this file?
-function get_file_users(file_obj, users = {}, following_inheritance = false) {
+//  - members: (groups only) names of all users in the group, including members of nested groups
+function get_file_users(file_obj, users = {}, following_inheritance = false, target_file = file_obj) {
     // TODO: also follow inheritance links if appropriate?..
 
     for (let ace of file_obj.acl) {
+        if (!ace_applies_to_file(ace, target_file, following_inheritance)) {
+            continue;
+        }
         if (typeof ace.who === 'string') {
             // a string - assume this is a single user.
             users[ace.who] = {
@@ -192,6 +207,7 @@ function get_file_users(file_obj, users = {}, following_inheritance = false) {
             users[ace.who.name] = {
                 type: 'group',
                 inherited: following_inheritance,
+                members: get_group_members(ace.who),
             };
         }
     }
@@ -199,16 +215,21 @@ function get_file_users(file_obj, users = {}, following_inheritance = false) {
     if (file_obj.using_permission_inheritance && file_obj.parent !== null) {
         // recurse; add to users map. inherited values will override non-inherited;
         // thus, if a user has at least some inheritance, they will be marked as "inherited" and the interface won't let you delete them from that particular file.
-        get_file_users(file_obj.parent, users, true);
+        get_file_users(file_obj.parent, users, true, target_file);
     }
     return users;
 }
 
 // Get the list of ACEs for the given file object and user name.
 // recursively follow inheritance if appropriate; following_inheritance flag indicates that these are already inherited permissions.
-function get_aces_file_user(file_obj, username, following_inheritance = false) {
+// target_file is the file we are originally asking about; inherited ACEs whose scope does not reach it are skipped.
+function get_aces_file_user(file_obj, username, following_inheritance = false, target_file = file_obj) {
     let aces = [];
     for (let ace of file_obj.acl) {
+        // Skip ACEs whose "applies to" scope doesn't cover the target file
+        if (!ace_applies_to_file(ace, target_file, following_inheritance)) {
+            continue;
+        }
         // Check if this ACE applies to the user
         // It applies if: 1) it's directly for this user, OR 2) user is a member of the group
         let applies = false;
@@ -218,8 +239,8 @@ function get_aces_file_user(file_obj, username, following_inheritance = false) {
             // Direct match - ACE is for this specific user
             applies = true;
         } else if (typeof(ace.who) !== 'string' && ace.who.users) {
-            // ace.who is a group object - check if user is a member
-            if (ace.who.users.includes(username)) {
+            // ace.who is a group object - check if user is a member (directly or through a nested group)
+            if (is_group_member(username, ace.who)) {
                 applies = true;
                 from_group = ace.who.name; // Store which group this comes from
             }
@@ -235,7 +256,7 @@ function get_aces_file_user(file_obj, username, following_inheritance = false) {
     }
     // add inherited ACEs, if appropriate
     if (file_obj.using_permission_inheritance && file_obj.parent !== null) {
-        return aces.concat(get_aces_file_user(file_obj.parent, username, true));
+        return aces.concat(get_aces_file_user(file_obj.parent, username, true, target_file));
     } else {
         // just return direct ACEs
         return aces;
@@ -275,6 +296,7 @@ function get_total_permissions(file_obj, username) {
                 total_permissions.allow[ace_item.ace.permission] = {
                     set: true,
                     inherited: ace_item.inherited,
+                    applies_to: ace_item.ace.applies_to,
                 };
         } else {
             // this is a 'deny' ace
@@ -286,6 +308,7 @@ function get_total_permissions(file_obj, username) {
                 total_permissions.deny[ace_item.ace.permission] = {
                     set: true,
                     inherited: ace_item.inherited,
+                    applies_to: ace_item.ace.applies_to,
                 };
         }
     }
@@ -293,7 +316,15 @@ function get_total_permissions(file_obj, username) {
     return total_permissions;
 }
 
+// add an ACE scope to a list of scopes, if it isn't in there already.
+function add_scope(scope_list, scope) {
+    if (!scope_list.includes(scope)) {
+        scope_list.push(scope);
+    }
+}
+
 // Get grouped permission info (based on 'simplified' permission categories)
+// for each group, applies_to lists the (distinct) scopes of the ACEs that make up that group.
 function get_grouped_permissions(file_obj, username) {
     let grouped_permissions = {
         allow: {},
@@ -307,17 +338,22 @@ function get_grouped_permissions(file_obj, username) {
             // if any of the permission listed in that group are not listed in the total permissions, then we will not check the checkbox for that group.
             let should_check = true;
             let has_inherited = false;
+            let applies_to = [];
             for (let perm of permission_groups[groupname]) {
                 if (!total_permissions[ace_type][perm]) {
                     should_check = false;
-                } else if (total_permissions[ace_type][perm].inherited) {
-                    has_inherited = true;
+                } else {
+                    if (total_permissions[ace_type][perm].inherited) {
+                        has_inherited = true;
+                    }
+                    add_scope(applies_to, total_permissions[ace_type][perm].applies_to);
                 }
             }
             if (should_check) {
                 grouped_permissions[ace_type][groupname] = {
                     set: true,
                     inherited: has_inherited,
+                    applies_to: applies_to,
                 };
                 // if we've checked the box, mark each permission in this group as "used" for some permission group - if there are any "unused" permissions, then we will check "special permissions"
                 for (let perm of permission_groups[groupname]) {
@@ -331,18 +367,21 @@ function get_grouped_permissions(file_obj, username) {
     for (let ace_type in total_permissions) {
         let need_special = false;
         let special_inherited = false;
+        let special_applies_to = [];
         for (let perm in total_permissions[ace_type]) {
             if (!total_permissions[ace_type][perm].used) {
                 need_special = true;
                 if (total_permissions[ace_type][perm].inherited) {
                     special_inherited = true;
                 }
+                add_scope(special_applies_to, total_permissions[ace_type][perm].applies_to);
             }
         }
         if (need_special) {
             grouped_permissions[ace_type].Special_permissions = {
                 set: true,
                 inherited: special_inherited,
+                applies_to: special_applies_to,
             };
         }
     }
@@ -350,37 +389,370 @@ function get_grouped_permissions(file_obj, username) {
     return grouped_permissions;
 }
 
+// -- undo/redo --
+// Every permission edit made through the functions below is recorded as a command: {label, undo, redo},
+// where undo and redo are functions which put the affected files back into their state before/after the edit.
+
+undo_stack = [];
+redo_stack = [];
+
+// capture the parts of the given files which permission edits can change.
+// ACE objects are never modified in place, so copying the list is enough.
+function capture_file_states(file_list) {
+    return file_list.map((file_obj) => ({
+        file: file_obj,
+        acl: file_obj.acl.slice(),
+        using_permission_inheritance: file_obj.using_permission_inheritance,
+        owner: file_obj.owner,
+    }));
+}
+
+// put the files back into the captured states, recording each difference as a change event (see record_change in model.js)
+function restore_file_states(file_states) {
+    for (let state of file_states) {
+        let file_obj = state.file;
+        let current = capture_file_states([file_obj])[0];
+        file_obj.acl = state.acl.slice();
+        file_obj.using_permission_inheritance = state.using_permission_inheritance;
+        file_obj.owner = state.owner;
+
+        for (let ace of current.acl.filter((ace) => !state.acl.includes(ace))) {
+            record_ace_change(file_obj, ace, false);
+        }
+        for (let ace of state.acl.filter((ace) => !current.acl.includes(ace))) {
+            record_ace_change(file_obj, ace, true);
+        }
+        if (current.using_permission_inheritance !== state.using_permission_inheritance) {
+            record_change(change_event_types.INHERITANCE_TOGGLED, file_obj, current.using_permission_inheritance, state.using_permission_inheritance);
+        }
+        if (current.owner !== state.owner) {
+            let owners = [get_user_name(current.owner), get_user_name(state.owner)];
+            record_change(change_event_types.OWNER_CHANGED, file_obj, owners[0], owners[1], owners);
+        }
+    }
+}
+
+// whether two captures of the same files (see capture_file_states) agree, i.e. nothing changed in between.
+// ACEs are compared by what they say, since some edits replace ACEs with equal new ones.
+function file_states_equal(states, other_states) {
+    let get_key = (state) => [get_user_name(state.owner), state.using_permission_inheritance]
+        .concat(state.acl.map((ace) => JSON.stringify(serialize_ace(ace))).sort()).join('|');
+    return states.every((state, i) => get_key(state) === get_key(other_states[i]));
+}
+
+// Run edit (a function which changes some of affected_files) as a single undoable command, described by label.
+// If the edit didn't change anything, there is nothing to undo, so no command is recorded (and the redo history is kept).
+function run_command(label, affected_files, edit) {
+    let before = capture_file_states(affected_files);
+    let result = edit();
+    let after = capture_file_states(affected_files);
+    if (file_states_equal(before, after)) return result;
+    undo_stack.push({
+        label: label,
+        undo: () => restore_file_states(before),
+        redo: () => restore_file_states(after),
+    });
+    redo_stack = [];
+    return result;
+}
+
+// undo the most recent command. Returns the command, or null if there is nothing to undo.
+// This may go back past the start of the open changesets: such a command was already kept, so undoing it is kept right away too.
+function undo() {
+    if (undo_stack.length === 0) return null;
+    let command = undo_stack.pop();
+    command.undo();
+    redo_stack.push(command);
+    for (let changeset = pending_changeset; changeset !== null; changeset = changeset.parent) {
+        if (undo_stack.length < changeset.undo_depth) {
+            changeset.undo_depth = undo_stack.length;
+            changeset.undone_before.push(command);
+            reset_changeset_start(changeset);
+        } else {
+            changeset.undone.push(command);
+        }
+    }
+    emit_command_state(`Undo: ${command.label}`);
+    return command;
+}
+
+// redo the most recently undone command. Returns the command, or null if there is nothing to redo.
+function redo() {
+    if (redo_stack.length === 0) return null;
+    let command = redo_stack.pop();
+    command.redo();
+    undo_stack.push(command);
+    for (let changeset = pending_changeset; changeset !== null; changeset = changeset.parent) {
+        if (changeset.undone_before.includes(command)) {
+            // it was undone from before the changeset started, so it isn't part of the changeset when redone either
+            changeset.undone_before.splice(changeset.undone_before.indexOf(command), 1);
+            changeset.undo_depth = undo_stack.length;
+            reset_changeset_start(changeset);
+        } else if (changeset.undone.includes(command)) {
+            changeset.undone.splice(changeset.undone.indexOf(command), 1);
+        }
+    }
+    emit_command_state(`Redo: ${command.label}`);
+    return command;
+}
+
+// log the state after an undo or redo, even while a changeset holds back the logging of the edits (but not while logging is suppressed).
+// The log then has seen the changeset's edits so far, so discarding the changeset has to be logged as well.
+function emit_command_state(purpose) {
+    let was_held = hold_emit_state;
+    hold_emit_state = false;
+    emitState(purpose);
+    hold_emit_state = was_held;
+    for (let changeset = pending_changeset; changeset !== null; changeset = changeset.parent) {
+        changeset.change_depth = 0; // (emitState has taken the change events, or dropped them)
+        changeset.logged = changeset.logged || !suppress_emit_state;
+    }
+}
+
+// -- staged editing (Apply/Cancel) --
+// While a changeset is open, edits still change the files right away (so that everything displays them), but they aren't logged.
+// Committing the changeset logs the new state once, and turns its edits into a single undoable command; discarding it undoes them.
+// A changeset can be opened inside another one (the Advanced dialog, on top of the Permissions dialog): committing the inner one
+// leaves its edits staged in the outer one, and discarding it undoes only the edits made since it was opened.
+
+pending_changeset = null;
+
+// open a changeset (inside the open one, if any), and return it
+function begin_changeset() {
+    pending_changeset = {
+        parent: pending_changeset,
+        undo_depth: undo_stack.length, // commands above this depth in the undo stack belong to the changeset
+        change_depth: pending_change_events.length, // as do the change events past this point
+        redo_stack: redo_stack.slice(), // what the redo stack goes back to when the changeset is discarded
+        undone: [], // commands of the changeset which were undone
+        undone_before: redo_stack.slice(), // commands from before the changeset which are undone (redoing one is kept right away)
+        logged: false, // whether an undo or redo has logged some of the changeset's edits
+        before: capture_file_states(Object.values(path_to_file)),
+    };
+    hold_emit_state = true;
+    return pending_changeset;
+}
+
+// make the changeset start at the current state, after a command from before it was undone or redone
+function reset_changeset_start(changeset) {
+    changeset.redo_stack = redo_stack.filter((command) => !changeset.undone.includes(command));
+    changeset.before = capture_file_states(Object.values(path_to_file));
+}
+
+// close the innermost changeset
+function end_changeset() {
+    pending_changeset = pending_changeset.parent;
+    hold_emit_state = pending_changeset !== null;
+}
+
+// keep the edits made in the innermost changeset. Returns whether there were any.
+function commit_changeset() {
+    if (pending_changeset === null) return false;
+    let changeset = pending_changeset;
+    end_changeset();
+    if (changeset.parent !== null) {
+        return undo_stack.length > changeset.undo_depth;
+    }
+
+    let commands = undo_stack.splice(changeset.undo_depth);
+    redo_stack = commands.length > 0 ? [] : changeset.redo_stack;
+    if (commands.length === 0) return false;
+
+    undo_stack.push({
+        label: commands.map((command) => command.label).join('; '),
+        undo: function () {
+            for (let command of commands.slice().reverse()) {
+                command.undo();
+            }
+        },
+        redo: function () {
+            for (let command of commands) {
+                command.redo();
+            }
+        },
+    });
+    emitState('Applied permission changes');
+    return true;
+}
+
+// undo all the edits made in the innermost changeset.
+function discard_changeset() {
+    if (pending_changeset === null) return;
+    let changeset = pending_changeset;
+    while (undo_stack.length > changeset.undo_depth) {
+        undo_stack.pop().undo();
+    }
+    redo_stack = changeset.redo_stack;
+    end_changeset();
+    if (!changeset.logged) {
+        pending_change_events.splice(changeset.change_depth); // the changes cancel out, so there is nothing to log
+    } else if (changeset.parent === null) {
+        emitState('Discarded permission changes');
+    }
+}
+
+// describe the net effect of the open changesets on each file (see get_file_changes)
+function get_pending_changes() {
+    if (pending_changeset === null) return [];
+    let changeset = pending_changeset;
+    while (changeset.parent !== null) {
+        changeset = changeset.parent;
+    }
+    return get_file_changes(changeset.before);
+}
+
+// describe how files have changed since their states were captured (with capture_file_states): a list of {file, change, description},
+// where change is 'added' or 'removed' for ACEs, or 'changed' for the owner and inheritance setting.
+function get_file_changes(file_states) {
+    let ace_description = function (ace) {
+        let description = `${ace.is_allow_ace ? 'allow' : 'deny'} ${ace.permission} for ${get_user_name(ace.who)}`;
+        if (ace.applies_to !== ace_scopes.THIS_FOLDER_SUBFOLDERS_FILES) {
+            description += ` (${ace.applies_to.toLowerCase()})`;
+        }
+        return description;
+    };
+    // remove each element of list_b from list_a once, so repeated ACEs are counted properly
+    let subtract = function (list_a, list_b) {
+        let remaining = list_b.slice();
+        return list_a.filter((item) => {
+            let index = remaining.indexOf(item);
+            if (index >= 0) {
+                remaining.splice(index, 1);
+                return false;
+            }
+            return true;
+        });
+    };
+
+    let changes = [];
+    for (let state of file_states) {
+        let file_obj = state.file;
+        let filepath = get_full_path(file_obj);
+        if (file_obj.owner !== state.owner) {
+            changes.push({ file: filepath, change: 'changed', description: `owner changed to ${get_user_name(file_obj.owner)}` });
+        }
+        if (file_obj.using_permission_inheritance !== state.using_permission_inheritance) {
+            changes.push({ file: filepath, change: 'changed', description: `inheritance turned ${file_obj.using_permission_inheritance ? 'on' : 'off'}` });
+        }
+        let before_aces = state.acl.map(ace_description);
+        let after_aces = file_obj.acl.map(ace_description);
+        for (let description of subtract(after_aces, before_aces)) {
+            changes.push({ file: filepath, change: 'added', description: description });
+        }
+        for (let description of subtract(before_aces, after_aces)) {
+            changes.push({ file: filepath, change: 'removed', description: description });
+        }
+    }
+    return changes;
+}
+
+// Make explicit copies of the ACEs which file_obj inherits, including those which only reach the objects inside it.
+// Each copy has the same principal (a group stays a group), permission and allow/deny as the inherited ACE,
+// and a scope which reaches the same objects (see get_explicit_copy_scope).
+// As in Windows, an inherited CREATOR_OWNER ACE becomes an ACE for the owner of file_obj itself, plus a CREATOR_OWNER ACE for the objects inside it.
+// (All the copies end up on one level, where deny ACEs come first - so an inherited deny which an allow on a closer level
+// used to override can't be kept as it was. Windows has the same limitation.)
+function get_explicit_copies(file_obj) {
+    let copies = [];
+    for (let ancestor = file_obj; ancestor.using_permission_inheritance && ancestor.parent !== null; ancestor = ancestor.parent) {
+        for (let is_allow of [false, true]) {
+            for (let ace of ancestor.parent.acl.filter((a) => a.is_allow_ace === is_allow)) {
+                if (ace.who !== special_principals.CREATOR_OWNER) {
+                    let scope = get_explicit_copy_scope(ace, file_obj);
+                    if (scope !== null) copies.push(make_ace(ace.who, ace.permission, ace.is_allow_ace, scope));
+                    continue;
+                }
+                let targets = ace_scope_targets[ace.applies_to];
+                if (file_obj.is_folder ? targets.folders : targets.files) {
+                    copies.push(make_ace(file_obj.owner, ace.permission, ace.is_allow_ace, ace_scopes.THIS_FOLDER_ONLY));
+                }
+                let inside_scope = Object.keys(ace_scopes).find((s) => {
+                    let t = ace_scope_targets[ace_scopes[s]];
+                    return !t.self && t.folders === targets.folders && t.files === targets.files;
+                });
+                if (file_obj.is_folder && inside_scope !== undefined) {
+                    copies.push(make_ace(ace.who, ace.permission, ace.is_allow_ace, ace_scopes[inside_scope]));
+                }
+            }
+        }
+    }
+    return copies;
+}
+
 function convert_parent_permissions(file_obj) {
     if (file_obj.using_permission_inheritance) {
         // Only do this if inheritance is actually on
-        for (user of Object.values(all_users)) {
-            // for each user
-            let user_perms = get_total_permissions(file_obj, user);
-            for (let ace_type in user_perms) {
-                //for each of 'allow' and 'deny'
-                for (let perm in user_perms[ace_type]) {
-                    // for each permission
-                    if (user_perms[ace_type][perm].inherited) {
-                        // if it's inherited, add directly
-                        file_obj.acl.push(
-                            make_ace(user, perm, ace_type === 'allow')
-                        );
-                    }
-                }
+        run_command(`Stop inheriting on ${get_full_path(file_obj)}, keeping inherited permissions`, [file_obj], function () {
+            for (let ace of get_explicit_copies(file_obj)) {
+                file_obj.acl.push(ace);
+                record_ace_change(file_obj, ace, true);
             }
-        }
-        file_obj.using_permission_inheritance = false;
-        emitState();
+            file_obj.using_permission_inheritance = false;
+            record_change(change_event_types.INHERITANCE_TOGGLED, file_obj, true, false);
+            emitState();
+        });
     }
 }
 
 function replace_child_perm_with_inherited(file_obj) {
     let filepath = get_full_path(file_obj);
-    for (c of parent_to_children[filepath]) {
-        c.using_permission_inheritance = true;
-        c.acl = [];
-    }
-    emitState();
+    let children = parent_to_children[filepath];
+    let describe_children = () => children.map((c) => ({
+        file: get_full_path(c),
+        using_permission_inheritance: c.using_permission_inheritance,
+        acl: c.acl.map(serialize_ace),
+    }));
+    run_command(`Replace permissions of everything inside ${filepath}`, children, function () {
+        let before = describe_children();
+        for (c of children) {
+            c.using_permission_inheritance = true;
+            c.acl = [];
+        }
+        record_change(change_event_types.CHILDREN_RESET, file_obj, before, describe_children());
+        emitState();
+    });
+}
+
+// turn inheritance from the parent folder on or off for the given file, without copying any permissions.
+function set_inheritance(file_obj, is_on) {
+    run_command(`Turn inheritance ${is_on ? 'on' : 'off'} for ${get_full_path(file_obj)}`, [file_obj], function () {
+        let was_on = file_obj.using_permission_inheritance;
+        file_obj.using_permission_inheritance = is_on;
+        if (was_on !== is_on) {
+            record_change(change_event_types.INHERITANCE_TOGGLED, file_obj, was_on, is_on);
+        }
+        emitState();
+    });
+}
+
+function change_owner(file_obj, new_owner) {
+    run_command(`Change owner of ${get_full_path(file_obj)} to ${get_user_name(new_owner)}`, [file_obj], function () {
+        let old_owner = file_obj.owner;
+        file_obj.owner = new_owner;
+        if (old_owner !== new_owner) {
+            let owners = [get_user_name(old_owner), get_user_name(new_owner)];
+            record_change(change_event_types.OWNER_CHANGED, file_obj, owners[0], owners[1], owners);
+        }
+        emitState();
+    });
+}
+
+// remove all permissions the given user has on the given file.
+function remove_user_from_file(filepath, username) {
+    // Sanity check - the file object and user exist.
+    if (!(filepath in path_to_file) || !(username in all_users)) return false;
+
+    let file_obj = path_to_file[filepath];
+    run_command(`Remove ${username} from ${filepath}`, [file_obj], function () {
+        remove_all_perms_for_user(file_obj, all_users[username]);
+    });
+}
+
+// the permissions (of the given list) which the file doesn't already give the user with an explicit ACE of the given type,
+// so that setting a permission which is already set doesn't add a duplicate ACE.
+function get_missing_permissions(file_obj, user, permissions, is_allow_ace) {
+    return permissions.filter((p) => !file_obj.acl.some((ace) => ace.who === user && ace.permission === p &&
+        ace.is_allow_ace === is_allow_ace && ace.applies_to === ace_scopes.THIS_FOLDER_SUBFOLDERS_FILES));
 }
 
 //Add a group of permissions for given file path and user name
@@ -393,11 +765,44 @@ function toggle_permission_group(filepath, username, group, type, is_on) {
     let permissions = permission_groups[group];
     let is_allow_ace = type === 'allow';
 
-    if (is_on) {
-        add_permissons(file_obj, user, permissions, is_allow_ace);
-    } else {
-        remove_permissions(file_obj, user, permissions, is_allow_ace);
-    }
+    run_command(`${is_on ? 'Set' : 'Clear'} ${type} ${group} for ${username} on ${filepath}`, [file_obj], function () {
+        if (is_on) {
+            add_permissons(file_obj, user, get_missing_permissions(file_obj, user, permissions, is_allow_ace), is_allow_ace);
+        } else {
+            remove_permissions(file_obj, user, permissions, is_allow_ace);
+        }
+    });
+}
+
+// Set or clear a group of permissions (see permission_groups) for each of the users on each of the files, as a single undoable edit.
+// Logs the new state once, and returns a summary of what changed (see get_file_changes) - or false if any file or user doesn't exist.
+function toggle_permission_group_batch(filepaths, usernames, group, type, is_on) {
+    // Sanity check - the file objects and users exist.
+    if (filepaths.some((filepath) => !(filepath in path_to_file)) || usernames.some((username) => !(username in all_users))) return false;
+
+    let file_objs = filepaths.map((filepath) => path_to_file[filepath]);
+    let is_allow_ace = type === 'allow';
+    let before = capture_file_states(file_objs);
+    let label = `${is_on ? 'Set' : 'Clear'} ${type} ${group} for ${usernames.join(', ')} on ${filepaths.join(', ')}`;
+
+    // log only the end result, not every single file/user pair:
+    let was_held = hold_emit_state;
+    hold_emit_state = true;
+    run_command(label, file_objs, function () {
+        for (let file_obj of file_objs) {
+            for (let username of usernames) {
+                // remove first, so users who already have some of these permissions don't end up with duplicate ACEs
+                remove_permissions(file_obj, all_users[username], permission_groups[group], is_allow_ace);
+                if (is_on) {
+                    add_permissons(file_obj, all_users[username], permission_groups[group], is_allow_ace);
+                }
+            }
+        }
+    });
+    hold_emit_state = was_held;
+    emitState(`Batch: ${label}`);
+
+    return get_file_changes(before);
 }
 
 function toggle_permission(filepath, username, permission, type, is_on) {
@@ -408,68 +813,401 @@ function toggle_permission(filepath, username, permission, type, is_on) {
     let user = all_users[username];
     let is_allow_ace = type === 'allow';
 
-    if (is_on) {
-        add_permissons(file_obj, user, [permission], is_allow_ace);
-    } else {
-        remove_permissions(file_obj, user, [permission], is_allow_ace);
+    run_command(`${is_on ? 'Set' : 'Clear'} ${type} ${permission} for ${username} on ${filepath}`, [file_obj], function () {
+        if (is_on) {
+            add_permissons(file_obj, user, get_missing_permissions(file_obj, user, [permission], is_allow_ace), is_allow_ace);
+        } else {
+            remove_permissions(file_obj, user, [permission], is_allow_ace);
+        }
+    });
+}
+
+// -- group management --
+// Groups can be created and deleted, and their members changed. A group exists while it is in the principal directory
+// (see principal_directory in model.js) or mentioned by a file; each edit is a single undoable command (like run_command),
+// which also updates all_users.
+
+// all groups which can currently be picked, including admin_group
+function get_all_groups() {
+    let groups = [admin_group];
+    for (let user_or_group of Object.values(all_users)) {
+        if (!is_user(user_or_group) && !groups.includes(user_or_group)) {
+            groups.push(user_or_group);
+        }
     }
+    return groups;
 }
 
-function validate_and_get_logs() {
-    let scenario = $('#scenario_context').data('tag');
-    let scenario_solution_state = new Set(
-        correct_scenario_solutions[scenario].split(';')
-    );
-    let current_state = new Set(get_allowed_actions_string().split(';'));
+// capture the members of the given groups, and the principal directory (whose entries are never modified in place)
+function capture_group_states(group_list) {
+    return {
+        members: group_list.map((group) => ({ group: group, users: group.users.slice() })),
+        directory: Object.assign({}, principal_directory),
+    };
+}
 
-    let missing_allowed = [];
-    for (let correct_allowed of scenario_solution_state) {
-        if (!current_state.has(correct_allowed)) {
-            missing_allowed.push(correct_allowed);
+// put the groups and directory back into the captured state, recording each difference as a change event (see record_group_change in model.js)
+function restore_group_states(group_states) {
+    let current = capture_group_states(group_states.members.map((state) => state.group));
+    principal_directory = Object.assign({}, group_states.directory);
+    for (let i = 0; i < group_states.members.length; i++) {
+        let group = group_states.members[i].group;
+        let before = current.members[i].users;
+        let after = group_states.members[i].users;
+        group.users = after.slice();
+        if (before.length !== after.length || before.some((member, j) => member !== after[j])) {
+            record_group_change(change_event_types.MEMBERS_CHANGED, group, before, after, get_group_members(make_group('', before.concat(after))));
+        }
+    }
+    for (let name in current.directory) {
+        let principal = current.directory[name].principal;
+        if (!is_user(principal) && !(name in principal_directory)) {
+            record_group_change(change_event_types.GROUP_DELETED, principal, principal.users, null, get_group_members(principal));
         }
     }
+    for (let name in principal_directory) {
+        let principal = principal_directory[name].principal;
+        if (!is_user(principal) && !(name in current.directory)) {
+            record_group_change(change_event_types.GROUP_CREATED, principal, null, principal.users, get_group_members(principal));
+        }
+    }
+}
+
+// Run edit (a function which changes groups, the principal directory and/or files) as a single undoable command, described by label.
+// Logs the new state, and returns whatever edit returns.
+function run_group_command(label, edit) {
+    let file_list = Object.values(path_to_file);
+    let before = { files: capture_file_states(file_list), groups: capture_group_states(get_all_groups()) };
+    let result = edit();
+    recompute_file_structure(files);
+    let after = { files: capture_file_states(file_list), groups: capture_group_states(get_all_groups()) };
+    let restore = function (state) {
+        restore_file_states(state.files);
+        restore_group_states(state.groups);
+        recompute_file_structure(files);
+    };
+    undo_stack.push({
+        label: label,
+        undo: () => restore(before),
+        redo: () => restore(after),
+    });
+    redo_stack = [];
+    emitState(label);
+    return result;
+}
+
+// Create a new, empty group with the given name (and optional description for the directory).
+// Returns false if the name is already taken by a user or group, or isn't made of letters, digits, '_', '-' and '.' (it is used in element ids).
+function create_group(groupname, description = '') {
+    if (!/^[A-Za-z0-9_.-]+$/.test(groupname) || groupname in all_users || groupname === admin_group.name) return false;
+
+    let group = make_group(groupname, []);
+    run_group_command(`Create group ${groupname}`, function () {
+        principal_directory = Object.assign({}, principal_directory, { [groupname]: make_directory_entry(group, groupname, description) });
+        record_group_change(change_event_types.GROUP_CREATED, group, null, [], []);
+    });
+    return true;
+}
+
+// Delete the given group: remove it from the directory, from every ACL and from the groups it is a member of.
+// Returns false if there is no such group, or it is admin_group or the owner of a file.
+function delete_group(groupname) {
+    let group = all_users[groupname];
+    if (group === undefined || is_user(group) || group === admin_group) return false;
+    if (Object.values(path_to_file).some((file_obj) => file_obj.owner === group)) return false;
+
+    run_group_command(`Delete group ${groupname}`, function () {
+        for (let file_obj of Object.values(path_to_file)) {
+            remove_aces(file_obj, (ace) => ace.who === group);
+        }
+        for (let parent_group of get_all_groups()) {
+            if (parent_group.users.includes(group)) {
+                let before = parent_group.users;
+                parent_group.users = before.filter((member) => member !== group);
+                record_group_change(change_event_types.MEMBERS_CHANGED, parent_group, before, parent_group.users, get_group_members(group));
+            }
+        }
+        principal_directory = Object.assign({}, principal_directory);
+        delete principal_directory[groupname];
+        record_group_change(change_event_types.GROUP_DELETED, group, group.users, null, get_group_members(group));
+    });
+    return true;
+}
+
+// Add the given user or group to a group. Returns false if either doesn't exist, the member is a special principal or already a direct member,
+// or adding it would make the group (indirectly) contain itself.
+function add_group_member(groupname, member_name) {
+    let group = all_users[groupname];
+    let member = all_users[member_name];
+    if (group === undefined || is_user(group) || member === undefined || is_special_principal(member)) return false;
+    if (group.users.includes(member) || member === group) return false;
+    if (!is_user(member) && contains_group(member, group)) return false;
+
+    run_group_command(`Add ${member_name} to group ${groupname}`, function () {
+        let before = group.users;
+        group.users = before.concat([member]);
+        record_group_change(change_event_types.MEMBERS_CHANGED, group, before, group.users, get_affected_users(member));
+    });
+    return true;
+}
 
-    let should_not_be_allowed = [];
-    for (let current_allowed of current_state) {
-        if (!scenario_solution_state.has(current_allowed)) {
-            should_not_be_allowed.push(current_allowed);
+// Remove a direct member (user or group) from a group. Returns false if either doesn't exist or it isn't a direct member.
+function remove_group_member(groupname, member_name) {
+    let group = all_users[groupname];
+    if (group === undefined || is_user(group)) return false;
+    let member = group.users.find((m) => get_user_name(m) === member_name);
+    if (member === undefined) return false;
+
+    run_group_command(`Remove ${member_name} from group ${groupname}`, function () {
+        let before = group.users;
+        group.users = before.filter((m) => m !== member);
+        record_group_change(change_event_types.MEMBERS_CHANGED, group, before, group.users, get_affected_users(member));
+    });
+    return true;
+}
+
+// whether inner_group is outer_group itself, or nested inside it (at any depth)
+function contains_group(outer_group, inner_group) {
+    return outer_group === inner_group || outer_group.users.some((member) => !is_user(member) && contains_group(member, inner_group));
+}
+
+// get the names of all users who could hold permissions: every user in all_users or in the ACL of a displayed file,
+// and every member of such a group.
+function get_all_user_names() {
+    let principals = Object.values(all_users);
+    for (let file of Object.values(path_to_file)) {
+        principals = principals.concat(file.acl.map((ace) => ace.who));
+    }
+    let names = [];
+    for (let user_or_group of principals) {
+        let user_names = is_user(user_or_group) ? [user_or_group] : get_group_members(user_or_group);
+        for (let name of user_names) {
+            if (!is_special_principal(name) && !names.includes(name)) {
+                names.push(name);
+            }
         }
     }
+    return names;
+}
+
+// Find the users and groups in all_users which a typed name refers to (like "Check Names" in Windows), ignoring case:
+// those whose name or display name is exactly the text, or if there are none, those whose name or display name starts with it.
+function resolve_user_name(text) {
+    let query = text.trim().toLowerCase();
+    if (query === '') return [];
+    let names = Object.keys(all_users).filter((name) => !is_special_principal(all_users[name]));
+    let spellings = (name) => [name.toLowerCase(), get_display_name(name).toLowerCase()];
+    let exact = names.filter((name) => spellings(name).includes(query));
+    if (exact.length > 0) return exact;
+    return names.filter((name) => spellings(name).some((spelling) => spelling.startsWith(query)));
+}
+
+// get the user names an expected-outcome rule is about (see evaluate_expected_outcome)
+function get_rule_users(rule) {
+    if (rule.who === undefined) {
+        return get_all_user_names();
+    }
+    let names = [];
+    for (let who of rule.who) {
+        if (typeof who !== 'string' && !(who.group in all_users)) {
+            throw new Error(`Unknown group in expected outcome "${rule.description}": ${who.group}`);
+        }
+        names = names.concat(typeof who === 'string' ? [who] : get_group_members(all_users[who.group]));
+    }
+    return names;
+}
+
+// get the file paths an expected-outcome rule is about (see evaluate_expected_outcome)
+function get_rule_files(rule) {
+    let paths = rule.files === undefined ? Object.keys(path_to_file) : rule.files;
+    for (let path of paths) {
+        if (!(path in path_to_file)) {
+            throw new Error(`Unknown file in expected outcome "${rule.description}": ${path}`);
+        }
+    }
+    return paths;
+}
+
+// get the permissions which are explicitly required or forbidden by the rules,
+// as a map of 'path:user:permission' to whether it should be allowed.
+function get_required_permissions(rules) {
+    let required = new Map();
+    for (let rule of rules) {
+        if (!rule.unchanged) {
+            for (let path of get_rule_files(rule)) {
+                for (let user of get_rule_users(rule)) {
+                    for (let p of get_scenario_permissions(current_scenario, rule.permissions)) {
+                        required.set(`${path}:${user}:${p}`, rule.allowed);
+                    }
+                }
+            }
+        }
+    }
+    return required;
+}
+
+/*
+Check the current permissions against the rules in the scenario's expected_outcome, giving partial credit per rule.
+There are two kinds of rules (see scenarios/scenarios.json):
+ - {description, who, files, permissions, allowed}: each user in `who` (user names, or {group: name} for all of its members)
+   must (allowed: true) or must not (allowed: false) have each of the permissions (a permission set name or list of keys) on each of the files (paths).
+ - {description, unchanged: true, who, files}: the users must have the same permissions on the files as when the page was loaded.
+   who and files are optional, and default to all users and all files. Permissions which are covered by the other kind of rule are left out.
+Returns {score, rules}, where score is the average of the rules' scores, and each entry in rules is {description, score, checks, failures}:
+a rule's score is the fraction of its checks which passed, and failures lists {file, user, permission, expected, actual} for each check which didn't.
+*/
+function evaluate_expected_outcome(rules = current_scenario.expected_outcome) {
+    let constrained = get_required_permissions(rules);
 
-    console.log(missing_allowed, should_not_be_allowed);
-    if (missing_allowed.length > 0 || should_not_be_allowed.length > 0) {
+    let results = [];
+    for (let rule of rules) {
+        let checks = 0;
+        let failures = [];
+        for (let path of get_rule_files(rule)) {
+            for (let user of get_rule_users(rule)) {
+                let rule_permissions = rule.unchanged ? Object.values(permissions) : get_scenario_permissions(current_scenario, rule.permissions);
+                for (let p of rule_permissions) {
+                    if (rule.unchanged && constrained.has(`${path}:${user}:${p}`)) {
+                        continue;
+                    }
+                    let expected = rule.allowed;
+                    if (rule.unchanged) {
+                        expected = path in initial_path_to_file && allow_user_action(initial_path_to_file[path], user, p);
+                    }
+                    let actual = allow_user_action(path_to_file[path], user, p);
+                    checks += 1;
+                    if (actual !== expected) {
+                        failures.push({ file: path, user: user, permission: p, expected: expected, actual: actual });
+                    }
+                }
+            }
+        }
+        results.push({
+            description: rule.description,
+            score: checks === 0 ? 1 : (checks - failures.length) / checks,
+            checks: checks,
+            failures: failures,
+        });
+    }
+    return {
+        score: results.length === 0 ? 1 : results.reduce((total, result) => total + result.score, 0) / results.length,
+        rules: results,
+    };
+}
+
+// get the permissions of every user (see get_all_user_names) on the files in file_map (a map of path to file),
+// as a set of 'path:user:permission' keys.
+function get_permission_state(file_map = path_to_file) {
+    let state = new Set();
+    let user_names = get_all_user_names();
+    for (let path in file_map) {
+        for (let user of user_names) {
+            for (let p of Object.values(permissions)) {
+                if (allow_user_action(file_map[path], user, p)) {
+                    state.add(`${path}:${user}:${p}`);
+                }
+            }
+        }
+    }
+    return state;
+}
+
+// the permission state (see get_permission_state) at the "Initial permission state" emit, which happens when the task starts.
+// Until then it is null, and side effects are measured against the state the page was loaded with.
+initial_permission_state = null;
+emitter.addEventListener('userEvent', (e) => {
+    if (e.detail.data && e.detail.data.purpose === 'Initial permission state') {
+        initial_permission_state = get_permission_state();
+    }
+});
+
+/*
+Classify every difference between the initial permission state and the current one, per user and file:
+ - intended: changes which a rule in the scenario's expected_outcome asks for
+ - collateral_gain: permissions which were gained although no rule asks for it
+ - collateral_loss: permissions which were lost although no rule asks for it
+Returns {summary, changes}, where summary counts the changes in each category, and changes has an entry
+{user, file, intended: [{permission, allowed}], collateral_gain: [permissions], collateral_loss: [permissions]} for each user and file which changed.
+The report only holds names, so it can be logged as JSON as well as displayed.
+*/
+function get_side_effect_report(rules = current_scenario.expected_outcome) {
+    let required = get_required_permissions(rules);
+    let initial_state = initial_permission_state !== null ? initial_permission_state : get_permission_state(initial_path_to_file);
+    let current_state = get_permission_state();
+
+    let summary = { intended: 0, collateral_gain: 0, collateral_loss: 0 };
+    let changes = {}; // map of 'path:user' to its entry in the report
+    let add_change = function (key, allowed) {
+        let [path, user, permission] = key.split(':');
+        let change_key = `${path}:${user}`;
+        if (!(change_key in changes)) {
+            changes[change_key] = { user: user, file: path, intended: [], collateral_gain: [], collateral_loss: [] };
+        }
+        if (required.get(key) === allowed) {
+            changes[change_key].intended.push({ permission: permission, allowed: allowed });
+            summary.intended += 1;
+        } else if (allowed) {
+            changes[change_key].collateral_gain.push(permission);
+            summary.collateral_gain += 1;
+        } else {
+            changes[change_key].collateral_loss.push(permission);
+            summary.collateral_loss += 1;
+        }
+    };
+    for (let key of current_state) {
+        if (!initial_state.has(key)) {
+            add_change(key, true);
+        }
+    }
+    for (let key of initial_state) {
+        if (!current_state.has(key)) {
+            add_change(key, false);
+        }
+    }
+    return { summary: summary, changes: Object.values(changes) };
+}
+
+function validate_and_get_logs() {
+    let outcome = evaluate_expected_outcome();
+    outcome.side_effects = get_side_effect_report();
+
+    for (let result of outcome.rules) {
+        console.log(`${Math.round(result.score * 100)}%\t${result.description}`);
+    }
+    if (outcome.score < 1) {
         console.error(
             'ERROR: Your current permissions state does not match the correct solution; In particular:'
         );
-        if (should_not_be_allowed.length > 0) {
-            console.warn(
-                'The following permissions are currently allowed, but should be denied in a correct solution:'
-            );
-            for (let p of should_not_be_allowed) {
-                let ids = p.split(':');
-                let filepath = id_to_filepath[parseInt(ids[0])];
-                let username = id_to_username[parseInt(ids[1])];
-                let perm = id_to_permission[parseInt(ids[2])];
-                console.log('\t', username, ': ', perm, filepath);
+        for (let result of outcome.rules) {
+            if (result.failures.length > 0) {
+                console.warn(`"${result.description}" is not met:`);
+                for (let failure of result.failures) {
+                    console.log(
+                        '\t',
+                        failure.user,
+                        ': ',
+                        failure.permission,
+                        failure.file,
+                        failure.expected ? '(should be allowed)' : '(should be denied)'
+                    );
+                }
             }
         }
-        if (missing_allowed.length > 0) {
-            console.warn(
-                'The following permissions are currently denied, but should be allowed in a correct solution:'
-            );
-            for (let p of missing_allowed) {
-                let ids = p.split(':');
-                let filepath = id_to_filepath[parseInt(ids[0])];
-                let username = id_to_username[parseInt(ids[1])];
-                let perm = id_to_permission[parseInt(ids[2])];
-                console.log('\t', username, ': ', perm, filepath);
+
+        for (let change of outcome.side_effects.changes) {
+            if (change.collateral_gain.length > 0) {
+                console.warn(`Side effect: ${change.user} gained permissions on ${change.file}:`, change.collateral_gain.join(', '));
+            }
+            if (change.collateral_loss.length > 0) {
+                console.warn(`Side effect: ${change.user} lost permissions on ${change.file}:`, change.collateral_loss.join(', '));
             }
         }
 
         console.error(
-            'ERROR: Your current permissions state does not match the correct solution; see above for list of problems.'
+            `ERROR: Your current permissions state does not match the correct solution (score: ${Math.round(outcome.score * 100)}%); see above for list of problems.`
         );
     } else {
         console.log(JSON.stringify(userData));
     }
+    return outcome;
 }
@@ -31,14 +31,37 @@ for(p of Object.values(permissions)) {
   cur_p_id += 1
 }
 
+// -- pseudo-enum of ACE scopes: which objects an ACE applies to (the "Applies to" column in Windows) --
+ace_scopes = {
+  THIS_FOLDER_SUBFOLDERS_FILES: 'This folder, subfolders and files',
+  THIS_FOLDER_ONLY: 'This folder only',
+  THIS_FOLDER_SUBFOLDERS: 'This folder and subfolders',
+  THIS_FOLDER_FILES: 'This folder and files',
+  SUBFOLDERS_FILES_ONLY: 'Subfolders and files only',
+  SUBFOLDERS_ONLY: 'Subfolders only',
+  FILES_ONLY: 'Files only',
+}
+
+// for each scope: does it apply to the object the ACE is set on, to folders which inherit it, and to files which inherit it?
+ace_scope_targets = {
+  [ace_scopes.THIS_FOLDER_SUBFOLDERS_FILES]: {self: true, folders: true, files: true},
+  [ace_scopes.THIS_FOLDER_ONLY]: {self: true, folders: false, files: false},
+  [ace_scopes.THIS_FOLDER_SUBFOLDERS]: {self: true, folders: true, files: false},
+  [ace_scopes.THIS_FOLDER_FILES]: {self: true, folders: false, files: true},
+  [ace_scopes.SUBFOLDERS_FILES_ONLY]: {self: false, folders: true, files: true},
+  [ace_scopes.SUBFOLDERS_ONLY]: {self: false, folders: true, files: false},
+  [ace_scopes.FILES_ONLY]: {self: false, folders: false, files: true},
+}
+
 // -- Helper functions to generate elements - these define the element structure. --
 
 // make an Access Control Element (ACE)
-function make_ace(who, permission, is_allow_ace) {
+function make_ace(who, permission, is_allow_ace, applies_to = ace_scopes.THIS_FOLDER_SUBFOLDERS_FILES) {
   return {
     who:who,
     permission: permission,
-    is_allow_ace: is_allow_ace // boolean: if it's not an 'allow' ACE, it is a 'deny'.
+    is_allow_ace: is_allow_ace, // boolean: if it's not an 'allow' ACE, it is a 'deny'.
+    applies_to: applies_to // one of ace_scopes
   }
 }
 
@@ -55,6 +78,7 @@ function make_file(filename, owner, parent=null, acl=[], using_permission_inheri
 }
 
 // make a user group
+// userlist may contain user names (strings) as well as other group objects - members of a nested group are members of this group too.
 function make_group(groupname, userlist=[]) {
   return {
     name:groupname,
@@ -66,87 +90,491 @@ function make_group(groupname, userlist=[]) {
 // special admin group which always exists - users who are admins have special permissions logic.
 admin_group = make_group('admin', ['administrator']);
 
+// -- pseudo-enum of special principals: placeholders which stand for the owner of whatever file is being accessed --
+special_principals = {
+  // an inherited ACE for CREATOR_OWNER applies to the owner of each object which inherits it. It has no effect on the object it is set on.
+  CREATOR_OWNER: 'CREATOR_OWNER',
+  // an ACE for OWNER_RIGHTS applies to the owner of the object. If the policy says so, its presence also replaces the owner's implicit rights.
+  OWNER_RIGHTS: 'OWNER_RIGHTS',
+}
+
+// -- principal directory --
+// The users and groups which exist, whether or not any ACL mentions them (e.g. a new employee who doesn't have any permissions yet).
+// Map of name to {principal, display_name, description}, where principal is the user name or group object.
+// Set from the scenario config (see deserialize_world); anyone not listed is known by name only.
+principal_directory = {}
+
+function make_directory_entry(principal, display_name = null, description = '') {
+  return {
+    principal: principal,
+    display_name: display_name || get_user_name(principal),
+    description: description
+  }
+}
+
+// get the name to show for a user or group (given by name), falling back to the name itself
+function get_display_name(name) {
+  return (name in principal_directory) ? principal_directory[name].display_name : name
+}
+
+// get the directory description of a user or group (given by name), or '' if there is none
+function get_principal_description(name) {
+  return (name in principal_directory) ? principal_directory[name].description : ''
+}
+
+// -- implicit owner rights --
+// The owner and administrators get some permissions regardless of what the ACL says. 
+// Scenario configs can change this policy with set_owner_rights_policy (any settings left out keep their default value).
+default_owner_rights_policy = {
+  implicit_permissions: [permissions.CHANGE_PERMS, permissions.TAKE_OWNERSHIP, permissions.READ_PERMS], // the permissions which are implicitly granted
+  owner: true, // the file owner gets the implicit permissions
+  administrators: true, // members of admin_group get the implicit permissions
+  owner_rights_ace_restricts: true, // as in modern Windows: if any OWNER_RIGHTS ACE reaches the file, the owner only gets what the ACL gives them
+}
+owner_rights_policy = Object.assign({}, default_owner_rights_policy)
+
+function set_owner_rights_policy(policy = {}) {
+  owner_rights_policy = Object.assign({}, default_owner_rights_policy, policy)
+  invalidate_effective_permissions()
+}
+
+// -- group membership --
+
+// get the names of all users in the given group, following nested groups.
+// visiting is the chain of groups we are currently inside of; it is used to detect groups which (indirectly) contain themselves.
+function get_group_members(group, visiting = []) {
+  if(visiting.includes(group)) {
+    let cycle = visiting.slice(visiting.indexOf(group)).concat([group]).map(g => g.name)
+    throw new Error(`Group membership cycle detected: ${cycle.join(' -> ')}`)
+  }
+  let members = []
+  for(let member of group.users) {
+    // a string is a single user; anything else is a nested group, whose members we collect recursively.
+    let member_names = (typeof(member) === 'string') ? [member] : get_group_members(member, visiting.concat([group]))
+    for(let name of member_names) {
+      if(!members.includes(name)) {
+        members.push(name)
+      }
+    }
+  }
+  return members
+}
+
+// determine whether the given user (name) is a member of the given group, directly or through nested groups.
+function is_group_member(user, group) {
+  return get_group_members(group).includes(user)
+}
+
+// get the chain of group names through which the user is a member of the given group, 
+// starting with the group itself and ending with the group which lists the user directly (e.g. ['employees', 'interns']).
+// returns null if the user is not a member.
+function get_membership_path(user, group) {
+  if(!is_group_member(user, group)) {
+    return null
+  }
+  if(group.users.includes(user)) {
+    return [group.name]
+  }
+  for(let member of group.users) {
+    if(typeof(member) !== 'string' && is_group_member(user, member)) {
+      return [group.name].concat(get_membership_path(user, member))
+    }
+  }
+}
+
 // -- permissions logic -- 
 
+// determine whether the given user or group is one of the special_principals
+function is_special_principal(user_or_group) {
+  return Object.values(special_principals).includes(user_or_group)
+}
+
 // helper function to determine whether user matches the user or group represented by user_or_group
-function ace_applies(user, ace) {
+// file and is_inherited are needed to resolve special principals: they describe the file being accessed, and whether the ACE is inherited by it.
+function ace_applies(user, ace, file = null, is_inherited = false) {
+  if(ace.who === special_principals.CREATOR_OWNER) {
+    return is_inherited && file !== null && file.owner === user
+  }
+  if(ace.who === special_principals.OWNER_RIGHTS) {
+    return file !== null && file.owner === user
+  }
   if( typeof (ace.who) === 'string') {
     // a string - assume this is a single user
     return user === ace.who
   }
   else {
     // not a string - assume this is a group.
-    return ace.who.users.includes(user)
+    return is_group_member(user, ace.who)
+  }
+}
+
+// helper function to determine whether an ACE reaches target_file, given the ACE's scope.
+// is_inherited is true if the ACE is set on one of target_file's ancestors rather than on target_file itself.
+function ace_applies_to_file(ace, target_file, is_inherited) {
+  let targets = ace_scope_targets[ace.applies_to]
+  if(!is_inherited) {
+    return targets.self
+  }
+  return target_file.is_folder ? targets.folders : targets.files
+}
+
+// get the scope an ACE which target_file inherits needs when it is copied onto target_file as an explicit ACE, so that the copy
+// reaches the same objects: target_file itself if the inherited ACE reaches it, and the same kinds of objects below it (as in Windows,
+// where e.g. an inherited "Subfolders only" ACE becomes "This folder and subfolders" on a subfolder).
+// Returns null if the copy would not reach anything.
+function get_explicit_copy_scope(ace, target_file) {
+  let targets = ace_scope_targets[ace.applies_to]
+  let self = target_file.is_folder ? targets.folders : targets.files
+  if(!target_file.is_folder && !self) {
+    return null // (nothing below a file)
+  }
+  if(targets.self === self) {
+    return ace.applies_to
+  }
+  let scope = Object.keys(ace_scope_targets).find(s => {
+    let t = ace_scope_targets[s]
+    return t.self === self && t.folders === targets.folders && t.files === targets.files
+  })
+  return (scope === undefined) ? null : scope
+}
+
+// build the list of ACEs which reach the given file, in canonical Windows order:
+// explicit ACEs (set on the file itself) come first, followed by ACEs inherited from the parent, then the grandparent, and so on up the tree.
+// Within each of these levels, deny ACEs are placed before allow ACEs.
+// Each entry is {ace, file, inherited}, where file is the file/folder the ACE is actually set on.
+function get_canonical_acl(file) {
+  let ordered_aces = []
+  let current_file = file
+  let is_inherited = false
+  while(current_file !== null) {
+    let level_aces = current_file.acl.filter(ace => ace_applies_to_file(ace, file, is_inherited))
+    for(let is_allow of [false, true]) {
+      for(let ace of level_aces) {
+        if(ace.is_allow_ace === is_allow) {
+          ordered_aces.push({ace: ace, file: current_file, inherited: is_inherited})
+        }
+      }
+    }
+    // move on to the parent only if we inherit from it
+    current_file = current_file.using_permission_inheritance ? current_file.parent : null
+    is_inherited = true
+  }
+  return ordered_aces
+}
+
+/*
+Returns the text of the owner rights rule (see owner_rights_policy) which implicitly allows user to perform permission_to_check on file,
+or null if no such rule applies.
+*/
+function get_owner_rights_rule(file, user, permission_to_check) {
+  if(!owner_rights_policy.implicit_permissions.includes(permission_to_check)) {
+    return null
+  }
+  if(owner_rights_policy.administrators && is_group_member(user, admin_group)) {
+    return 'Owner rights policy: administrators implicitly have this permission'
+  }
+  if(owner_rights_policy.owner && file.owner === user) {
+    if(owner_rights_policy.owner_rights_ace_restricts && get_canonical_acl(file).some(entry => entry.ace.who === special_principals.OWNER_RIGHTS)) {
+      // the OWNER RIGHTS entries take over; they are evaluated like any other ACE.
+      return null
+    }
+    return 'Owner rights policy: the file owner implicitly has this permission'
+  }
+  return null
+}
+
+// -- pseudo-enum of reasons why evaluation of a permission stopped (reported in traces) --
+trace_stop_reasons = {
+  OWNER_OR_ADMIN: 'implicit owner/administrator rights (see owner_rights_policy)',
+  DENY_ACE: 'found a matching deny ACE',
+  ALLOW_ACE: 'found a matching allow ACE',
+  INHERITANCE_OFF: 'no matching ACE; reached a file which does not inherit from its parent',
+  ROOT_REACHED: 'no matching ACE; reached the top of the folder tree',
+  GROUP_MEMBERS: 'a group is allowed only if all of its members are',
+}
+
+// -- pseudo-enum of reasons why an ACE was passed over while evaluating a permission (reported in considered_aces and traces) --
+trace_skip_reasons = {
+  DIFFERENT_PERMISSION: 'different permission',
+  WRONG_PRINCIPAL: 'does not apply to this user',
+  NOT_INHERITED: 'CREATOR_OWNER only applies to objects which inherit it',
+  OUT_OF_SCOPE: 'its scope ("applies to") does not reach this file',
+}
+
+// get every ACE in the inheritance chain of file in canonical order (as in get_canonical_acl, but including ACEs whose scope doesn't reach file),
+// each as {ace, file, inherited, skip_reason}, where file is the file/folder the ACE is set on, and skip_reason is one of trace_skip_reasons
+// if the ACE says nothing about user and permission_to_check on file - or null if it does, so that the first entry with a null skip_reason decides.
+function get_considered_aces(file, user, permission_to_check) {
+  let entries = []
+  let current_file = file
+  let is_inherited = false
+  while(current_file !== null) {
+    for(let is_allow of [false, true]) {
+      for(let ace of current_file.acl) {
+        if(ace.is_allow_ace !== is_allow) {
+          continue
+        }
+        let skip_reason = null
+        if(ace.permission !== permission_to_check) {
+          skip_reason = trace_skip_reasons.DIFFERENT_PERMISSION
+        }
+        else if(!ace_applies(user, ace, file, is_inherited)) {
+          skip_reason = (ace.who === special_principals.CREATOR_OWNER && !is_inherited) ? trace_skip_reasons.NOT_INHERITED : trace_skip_reasons.WRONG_PRINCIPAL
+        }
+        else if(!ace_applies_to_file(ace, file, is_inherited)) {
+          skip_reason = trace_skip_reasons.OUT_OF_SCOPE
+        }
+        entries.push({ace: ace, file: current_file, inherited: is_inherited, skip_reason: skip_reason})
+      }
+    }
+    current_file = current_file.using_permission_inheritance ? current_file.parent : null
+    is_inherited = true
+  }
+  return entries
+}
+
+/*
+Build a full trace of how allow_user_action evaluated a permission, for displaying a step-by-step walkthrough or for diffing in logs.
+deciding_entry is the entry (see get_considered_aces) which decided the result, or null if none did.
+The trace only contains names, paths and strings (no object references), so it can be serialized as-is:
+ - levels: one entry per file in the inheritance chain (the file itself first, then its ancestors), 
+   each listing every ACE on that file in evaluation order (deny before allow), with:
+     - match: 'direct' if the ACE names the user, 'group' if the user is a member of the ACE's group, 
+       'owner' if the ACE is for a special principal which resolves to the user, null otherwise
+     - via_groups: for group matches, the chain of groups through which the user is a member
+     - result: 'decided' for the ACE which decided the outcome, 'shadowed' for ACEs which also match but come later, 'skipped' otherwise
+     - skip_reason: why a skipped ACE didn't match (one of trace_skip_reasons)
+ - stop_reason: one of trace_stop_reasons
+*/
+function make_trace(file, user, permission_to_check, deciding_entry, stop_reason) {
+  let trace = {
+    file: get_full_path(file),
+    user: get_user_name(user),
+    permission: permission_to_check,
+    levels: [],
+    stop_reason: stop_reason,
+  }
+  let entries = get_considered_aces(file, user, permission_to_check)
+  let current_file = file
+  let is_inherited = false
+  while(current_file !== null) {
+    let level = {
+      file: get_full_path(current_file),
+      inherited: is_inherited,
+      inherits_from_parent: current_file.using_permission_inheritance && current_file.parent !== null,
+      aces: []
+    }
+    for(let entry of entries.filter(entry => entry.file === current_file)) {
+      let ace = entry.ace
+      let match = null
+      if(ace_applies(user, ace, file, is_inherited)) {
+        if(is_special_principal(ace.who)) {
+          match = 'owner'
+        }
+        else {
+          match = (typeof(ace.who) === 'string') ? 'direct' : 'group'
+        }
+      }
+      let result = 'skipped'
+      if(entry.skip_reason === null) {
+        result = (deciding_entry !== null && deciding_entry.ace === ace && deciding_entry.file === current_file) ? 'decided' : 'shadowed'
+      }
+      level.aces.push({
+        who: get_user_name(ace.who),
+        who_type: is_special_principal(ace.who) ? 'special' : (is_user(ace.who) ? 'user' : 'group'),
+        permission: ace.permission,
+        type: ace.is_allow_ace ? 'allow' : 'deny',
+        applies_to: ace.applies_to,
+        match: match,
+        via_groups: (match === 'group') ? get_membership_path(user, ace.who) : [],
+        result: result,
+        skip_reason: entry.skip_reason
+      })
+    }
+    trace.levels.push(level)
+    current_file = current_file.using_permission_inheritance ? current_file.parent : null
+    is_inherited = true
+  }
+  return trace
+}
+
+/*
+Build a trace (as make_trace does for a user) of how allow_user_action evaluated a permission for a group. A group's permissions are those
+of its members, so the trace has no levels of its own; instead, members lists {user, is_allowed, trace} for each member
+(including members of nested groups), with the member's own trace. stop_reason is trace_stop_reasons.GROUP_MEMBERS.
+*/
+function make_group_trace(file, group, permission_to_check) {
+  return {
+    file: get_full_path(file),
+    user: group.name,
+    permission: permission_to_check,
+    levels: [],
+    members: get_group_members(group).map(member => {
+      let explanation = allow_user_action(file, member, permission_to_check, true, true)
+      return {user: member, is_allowed: explanation.is_allowed, trace: explanation.trace}
+    }),
+    stop_reason: trace_stop_reasons.GROUP_MEMBERS,
   }
 }
 
 /*
 Helper function: wraps return value for allow_user_action into an object along with explanatory metadata, if required.
+considered_aces is the list of every ACE in the inheritance chain in evaluation order, each with the reason it was passed over, if it was (see get_considered_aces).
+trace is the full evaluation trace (see make_trace), if one was requested.
 */
-function make_allow_return_value(is_allowed, file, ace, explain_why, text_explanation = null) {
+function make_allow_return_value(is_allowed, file, ace, explain_why, text_explanation = null, considered_aces = [], trace = null) {
   if(explain_why)
     return {
       is_allowed: is_allowed,
       ace_responsible: ace,
       file_responsible: file,
-      text_explanation: text_explanation
+      text_explanation: text_explanation,
+      considered_aces: considered_aces,
+      trace: trace
     }
   else
     return is_allowed
 }
 
+/*
+Effective permissions of a group. A group never acts on a file by itself, so its permissions are defined through its members
+(including members of nested groups), each evaluated as a user with allow_user_action. Returns an object with:
+ - all_members: every member is allowed - this is what membership in the group guarantees. (false for a group without members)
+ - some_members: at least one member is allowed.
+ - allowed_members, denied_members: the member names on each side.
+*/
+function get_group_effective_permission(file, group, permission_to_check) {
+  let members = get_group_members(group)
+  let allowed_members = members.filter(member => allow_user_action(file, member, permission_to_check))
+  return {
+    all_members: members.length > 0 && allowed_members.length === members.length,
+    some_members: allowed_members.length > 0,
+    allowed_members: allowed_members,
+    denied_members: members.filter(member => !allowed_members.includes(member)),
+  }
+}
+
 /*
 returns whether the given user is allowed to do something, where the thing being allowed/denied depends on permission_to_check.
+If a group object is passed in instead of a user, returns whether *all* of its members are allowed (see get_group_effective_permission).
 If explain_why is false, returns a boolean.
 if explain_why is true, returns an object which contains information about why this decision was made. (see make_allow_return_value for the object structure)
+if include_trace is true, the returned object (as with explain_why) also contains a full evaluation trace (see make_trace, and make_group_trace for groups).
 */
-function allow_user_action(file, user, permission_to_check, explain_why = false){
+function allow_user_action(file, user, permission_to_check, explain_why = false, include_trace = false){
+  explain_why = explain_why || include_trace
+  if(!explain_why && is_user(user)) {
+    // plain yes/no answers are memoized (see effective_permission_cache)
+    return get_cached_permission(file, user, permission_to_check)
+  }
+  if(!is_user(user)) {
+    let group_permission = get_group_effective_permission(file, user, permission_to_check)
+    let text_explanation = `Allowed for ${group_permission.allowed_members.length} of ${get_group_members(user).length} members of ${user.name}`
+    let trace = include_trace ? make_group_trace(file, user, permission_to_check) : null
+    return make_allow_return_value(group_permission.all_members, null, null, explain_why, text_explanation, [], trace)
+  }
   // first, check for "special" built-in permissions:
-  // If user is owner or admin, they can always change permissons, read permissions, and take ownership of the file.
-  if ( [permissions.CHANGE_PERMS, permissions.TAKE_OWNERSHIP, permissions.READ_PERMS].includes(permission_to_check)  && 
-      (file.owner === user || admin_group.users.includes(user)) ) {
-        return make_allow_return_value(true, file, null, explain_why,'This user is the file owner or an administrator') 
-  }
-
-  // fall through to normal permission check
-  found_reason_to_allow = false;
-  reason_to_allow = null;
-  for(let ace of file.acl) {
-    if ( ace.permission === permission_to_check && ace_applies(user, ace) ) {
-        // found an ACE for this user, file, and action
-        if( ace.is_allow_ace == false ) {
-          // this is a Deny ACE - deny immediately
-          return make_allow_return_value(false, file, ace, explain_why) 
-        }
-        else {
-          // this is an Allow ACE - mark as "found a reason to allow" and continue checking
-          found_reason_to_allow = true;
-          reason_to_allow = ace
-        }
+  // By default, the owner and admins can always change permissons, read permissions, and take ownership of the file (see owner_rights_policy).
+  let owner_rights_rule = get_owner_rights_rule(file, user, permission_to_check)
+  if(owner_rights_rule !== null) {
+    let trace = include_trace ? make_trace(file, user, permission_to_check, null, trace_stop_reasons.OWNER_OR_ADMIN) : null
+    return make_allow_return_value(true, file, null, explain_why, owner_rights_rule, [], trace) 
+  }
+
+  // fall through to normal permission check:
+  // go through the whole inheritance chain in canonical order; the first ACE for this user and action decides.
+  let considered_aces = get_considered_aces(file, user, permission_to_check)
+  let deciding_entry = considered_aces.find(entry => entry.skip_reason === null)
+  if(deciding_entry !== undefined) {
+    let stop_reason = deciding_entry.ace.is_allow_ace ? trace_stop_reasons.ALLOW_ACE : trace_stop_reasons.DENY_ACE
+    let trace = include_trace ? make_trace(file, user, permission_to_check, deciding_entry, stop_reason) : null
+    // name the rule if the deciding ACE only applies because the user owns the file
+    let text_explanation = null
+    if(deciding_entry.ace.who === special_principals.CREATOR_OWNER) {
+      text_explanation = `Inherited CREATOR_OWNER entry from ${get_full_path(deciding_entry.file)} applies to the file owner`
+    }
+    else if(deciding_entry.ace.who === special_principals.OWNER_RIGHTS) {
+      text_explanation = 'OWNER_RIGHTS entry applies to the file owner'
     }
+    return make_allow_return_value(deciding_entry.ace.is_allow_ace, deciding_entry.file, deciding_entry.ace, explain_why, text_explanation, considered_aces, trace)
+  }
+
+  // fallthrough - did not find any explicit permission settings. deny permission.
+  let trace = null
+  if(include_trace) {
+    // find out where the inheritance chain ended:
+    let top_file = file
+    while(top_file.using_permission_inheritance && top_file.parent !== null) {
+      top_file = top_file.parent
+    }
+    trace = make_trace(file, user, permission_to_check, null, (top_file.parent === null) ? trace_stop_reasons.ROOT_REACHED : trace_stop_reasons.INHERITANCE_OFF)
+  }
+  return make_allow_return_value(false, null, null, explain_why, 'No permissions found for this file and user', considered_aces, trace) 
+}
+
+// -- effective permission cache --
+// Whether a user is allowed to do something only changes when an ACE, inheritance setting or owner of the file or one of its ancestors changes,
+// or a group membership or the owner rights policy changes. So the answers are kept in nested maps of file object -> user name -> permission -> boolean, 
+// and every change event (see record_change) throws away only the answers it can affect: 
+// those for the edited file and everything below it, for the users the change is about.
+
+effective_permission_cache = new Map()
+
+function get_cached_permission(file, user, permission_to_check) {
+  if(!effective_permission_cache.has(file)) {
+    effective_permission_cache.set(file, new Map())
   }
-  // finished going through ACL and did not deny the action - check for allow:
-  if (found_reason_to_allow) {
-    return make_allow_return_value(true, file, reason_to_allow, explain_why) 
+  let file_cache = effective_permission_cache.get(file)
+  if(!file_cache.has(user)) {
+    file_cache.set(user, new Map())
   }
+  let user_cache = file_cache.get(user)
+  if(!user_cache.has(permission_to_check)) {
+    user_cache.set(permission_to_check, allow_user_action(file, user, permission_to_check, true).is_allowed)
+  }
+  return user_cache.get(permission_to_check)
+}
 
-  // fallthrough - did not find a reason to either allow or deny
-  if(file.using_permission_inheritance && file.parent !== null) {
-    return allow_user_action(file.parent, user, permission_to_check, explain_why)
+/*
+Forget the cached answers for the given file and everything inside it (or all files if file is null),
+for the given list of user names (or all users if users is null).
+Anything which changes permissions without recording a change (e.g. set_owner_rights_policy) must call this.
+*/
+function invalidate_effective_permissions(file = null, users = null) {
+  for(let [cached_file, file_cache] of effective_permission_cache) {
+    let ancestor = cached_file
+    while(file !== null && ancestor !== null && ancestor !== file) {
+      ancestor = ancestor.parent
+    }
+    if(ancestor === null) {
+      continue // not inside file
+    }
+    if(users === null) {
+      effective_permission_cache.delete(cached_file)
+      continue
+    }
+    for(let user of users) {
+      file_cache.delete(user)
+    }
   }
+}
 
-  // fallthrough - did not find any explicit permission settings. deny permission.
-  return make_allow_return_value(false, null, null, explain_why, 'No permissions found for this file and user') 
+// get the names of the users whose permissions may change when an ACE for the given user or group changes, or null for everyone.
+function get_affected_users(user_or_group) {
+  if(is_special_principal(user_or_group)) {
+    return null // depends on who owns each file
+  }
+  return is_user(user_or_group) ? [user_or_group] : get_group_members(user_or_group)
 }
 
 // -- helper functions --
 
 // make an ACL Denying or Allowing all permissions in the given list to all the users in the given list.
-function make_crossjoin_acl(user_list, permission_list, is_allow) {
+function make_crossjoin_acl(user_list, permission_list, is_allow, applies_to = ace_scopes.THIS_FOLDER_SUBFOLDERS_FILES) {
   let acl = []
   for(let user of user_list) {
     for(let p of permission_list) {
-      acl.push(make_ace(user, p, is_allow))
+      acl.push(make_ace(user, p, is_allow, applies_to))
     }
   }
   return acl
@@ -157,6 +585,15 @@ function make_full_access_acl(user) {
   return make_crossjoin_acl([user], Object.values(permissions), true)
 }
 
+// given a file object, generate the full path from root
+function get_full_path(file_obj) {
+  let path = '/' + file_obj.filename
+  if (file_obj.parent !== null) {
+    path = get_full_path(file_obj.parent) + path
+  }
+  return path
+}
+
 // determine whether a given user object is a user or a group
 function is_user(user_or_group) {
   return typeof(user_or_group) === 'string'
@@ -174,10 +611,190 @@ function get_user_name(user) {
   }
 }
 
+// -- serialization --
+// The file/permission world (files, groups, owners, ACLs, inheritance flags and the owner rights policy) can be converted to and from
+// a plain object which only holds names and paths, so it can go through JSON.stringify/JSON.parse.
+// Inside it, a user is referred to by name (a string), and a group as {group: name}.
+
+world_format_version = 1
+
+// refer to the user or group in an ACE by name
+function serialize_ace(ace) {
+  return {
+    who: serialize_principal(ace.who),
+    permission: ace.permission,
+    is_allow_ace: ace.is_allow_ace,
+    applies_to: ace.applies_to
+  }
+}
+
+// refer to a user or group by name
+function serialize_principal(user_or_group) {
+  return is_user(user_or_group) ? user_or_group : {group: user_or_group.name}
+}
+
+// collect the given group and all groups nested inside it into groups (a map of group name to group object)
+function collect_groups(group, groups) {
+  if(group.name in groups) {
+    if(groups[group.name] !== group) {
+      throw new Error(`Cannot serialize two different groups with the same name: ${group.name}`)
+    }
+    return
+  }
+  groups[group.name] = group
+  for(let member of group.users) {
+    if(!is_user(member)) {
+      collect_groups(member, groups)
+    }
+  }
+}
+
+/*
+Convert the given list of files (and everything they refer to) into a plain object:
+ - version: world_format_version
+ - owner_rights_policy: a copy of the current owner_rights_policy
+ - groups: [{name, users}] for admin_group and every group used in the files or listed in principal_directory, 
+   where users may contain nested groups as {group: name}
+ - directory: [{name, display_name, description}] for each entry of principal_directory
+ - files: [{path, parent, filename, owner, is_folder, using_permission_inheritance, acl}] in the given order,
+   where parent is the path of the parent folder (or null) and acl is a list of {who, permission, is_allow_ace, applies_to}
+*/
+function serialize_world(file_list) {
+  let groups = {}
+  collect_groups(admin_group, groups)
+  for(let file of file_list) {
+    for(let user_or_group of [file.owner].concat(file.acl.map(ace => ace.who))) {
+      if(!is_user(user_or_group)) {
+        collect_groups(user_or_group, groups)
+      }
+    }
+  }
+  for(let entry of Object.values(principal_directory)) {
+    if(!is_user(entry.principal)) {
+      collect_groups(entry.principal, groups)
+    }
+  }
+  return {
+    version: world_format_version,
+    owner_rights_policy: JSON.parse(JSON.stringify(owner_rights_policy)),
+    groups: Object.values(groups).map(group => ({
+      name: group.name, 
+      users: group.users.map(serialize_principal)
+    })),
+    directory: Object.keys(principal_directory).map(name => ({
+      name: name,
+      display_name: principal_directory[name].display_name,
+      description: principal_directory[name].description
+    })),
+    files: file_list.map(file => ({
+      path: get_full_path(file),
+      parent: (file.parent === null) ? null : get_full_path(file.parent),
+      filename: file.filename,
+      owner: serialize_principal(file.owner),
+      is_folder: file.is_folder,
+      using_permission_inheritance: file.using_permission_inheritance,
+      acl: file.acl.map(serialize_ace)
+    })),
+  }
+}
+
+/*
+Rebuild files and groups from an object made by serialize_world. Returns {files, groups, admin_group, directory, owner_rights_policy}, 
+where groups maps group name to the new group objects, and directory is a new principal_directory (empty if data has no directory).
+A directory entry refers to the group with its name if there is one, and to a user otherwise. admin_group is the new 'admin' group
+(or a new default one, if data has none); this doesn't replace the global admin_group - whoever loads the world does that (see load_world in controller.js).
+Throws an Error if the object refers to groups, files, permissions or scopes which don't exist.
+*/
+function deserialize_world(data) {
+  if(data.version !== world_format_version) {
+    throw new Error(`Unsupported world format version: ${data.version}`)
+  }
+
+  // create all groups first, so members can refer to groups listed after them.
+  let groups = {}
+  for(let group_data of data.groups) {
+    if(group_data.name in groups) {
+      throw new Error(`Duplicate group: ${group_data.name}`)
+    }
+    groups[group_data.name] = make_group(group_data.name)
+  }
+  let principal = function(ref) {
+    if(typeof(ref) === 'string') {
+      return ref
+    }
+    if(!(ref.group in groups)) {
+      throw new Error(`Unknown group: ${ref.group}`)
+    }
+    return groups[ref.group]
+  }
+  for(let group_data of data.groups) {
+    groups[group_data.name].users = group_data.users.map(principal)
+  }
+  // make sure nested groups don't contain themselves:
+  for(let group of Object.values(groups)) {
+    get_group_members(group)
+  }
+
+  let directory = {}
+  for(let entry_data of (data.directory || [])) {
+    if(entry_data.name in directory) {
+      throw new Error(`Duplicate directory entry: ${entry_data.name}`)
+    }
+    let entry_principal = (entry_data.name in groups) ? groups[entry_data.name] : entry_data.name
+    directory[entry_data.name] = make_directory_entry(entry_principal, entry_data.display_name, entry_data.description || '')
+  }
+
+  // files: same as with groups, create them first and link parents afterwards.
+  let path_to_new_file = {}
+  let file_list = data.files.map(file_data => {
+    if(file_data.path in path_to_new_file) {
+      throw new Error(`Duplicate file: ${file_data.path}`)
+    }
+    let acl = file_data.acl.map(ace_data => {
+      if(!Object.values(permissions).includes(ace_data.permission)) {
+        throw new Error(`Unknown permission in ACL of ${file_data.path}: ${ace_data.permission}`)
+      }
+      if(!(ace_data.applies_to in ace_scope_targets)) {
+        throw new Error(`Unknown ACE scope in ACL of ${file_data.path}: ${ace_data.applies_to}`)
+      }
+      return make_ace(principal(ace_data.who), ace_data.permission, ace_data.is_allow_ace, ace_data.applies_to)
+    })
+    let file = make_file(file_data.filename, principal(file_data.owner), null, acl, file_data.using_permission_inheritance, file_data.is_folder)
+    path_to_new_file[file_data.path] = file
+    return file
+  })
+  for(let file_data of data.files) {
+    if(file_data.parent !== null) {
+      if(!(file_data.parent in path_to_new_file)) {
+        throw new Error(`Unknown parent folder of ${file_data.path}: ${file_data.parent}`)
+      }
+      path_to_new_file[file_data.path].parent = path_to_new_file[file_data.parent]
+    }
+  }
+  // the stored paths must agree with the rebuilt structure:
+  for(let file_data of data.files) {
+    if(get_full_path(path_to_new_file[file_data.path]) !== file_data.path) {
+      throw new Error(`File path does not match its parent and file name: ${file_data.path}`)
+    }
+  }
+
+  return {
+    files: file_list,
+    groups: groups,
+    admin_group: (admin_group.name in groups) ? groups[admin_group.name] : make_group(admin_group.name, ['administrator']),
+    directory: directory,
+    owner_rights_policy: Object.assign({}, default_owner_rights_policy, data.owner_rights_policy),
+  }
+}
+
+// the state string lists individual users only - permissions of groups follow from their members, and special principals are placeholders.
 function get_allowed_actions_string(){
   let allowedActions = ""
   for(f in path_to_file) {
     for(u in all_users) {
+      if(!is_user(all_users[u]) || is_special_principal(all_users[u])) {
+        continue
+      }
       for (p of Object.values(permissions)) {
         if(allow_user_action(path_to_file[f], all_users[u], p)){
           allowedActions += filepath_to_id[f]+':'+username_to_id[u]+':'+permission_ids[p]+';'
@@ -188,33 +805,117 @@ function get_allowed_actions_string(){
   return allowedActions
 }
 
+/*
+Structured change events. Every edit to a file's ACL, inheritance setting or owner is recorded as {type, file, before, after},
+where type is one of change_event_types, file is the path of the edited file, and before/after describe what changed 
+(ACEs as in serialize_ace, owners by name).
+The change must already have been made when it is recorded: recording it also clears the effective permission cache
+for the file and everything inside it, for affected_users (a list of user names, or null for everyone).
+Changes to groups (see record_group_change) have the name of the group instead of a file.
+Each change is dispatched right away on the emitter as a 'permissionChange' event (with the change as its detail),
+and the next emitState includes all the changes since the previous one, so the log shows what happened and not just the resulting state.
+*/
+change_event_types = {
+  ACE_ADDED: 'ace_added', // before: null, after: the ACE
+  ACE_REMOVED: 'ace_removed', // before: the ACE, after: null
+  INHERITANCE_TOGGLED: 'inheritance_toggled', // before/after: using_permission_inheritance
+  OWNER_CHANGED: 'owner_changed', // before/after: name of the owner
+  CHILDREN_RESET: 'children_reset', // (for a folder) before/after: [{file, using_permission_inheritance, acl}] for each of its children
+  GROUP_CREATED: 'group_created', // (for a group) before: null, after: its members (as in serialize_principal)
+  GROUP_DELETED: 'group_deleted', // (for a group) before: its members, after: null
+  MEMBERS_CHANGED: 'members_changed', // (for a group) before/after: its direct members
+}
+
+// changes recorded since the last emitState
+pending_change_events = []
+
+function record_change(type, file, before, after, affected_users = null) {
+  let change = {
+    type: type,
+    file: get_full_path(file),
+    before: before,
+    after: after
+  }
+  invalidate_effective_permissions(file, affected_users)
+  pending_change_events.push(change)
+  emitter.dispatchEvent(new CustomEvent('permissionChange', { detail: change }))
+  return change
+}
+
+// record a change to the given group (GROUP_CREATED, GROUP_DELETED or MEMBERS_CHANGED), where before/after are lists of members.
+// Group membership counts on every file, so the cached answers for affected_users are cleared everywhere.
+function record_group_change(type, group, before, after, affected_users = null) {
+  let change = {
+    type: type,
+    group: group.name,
+    before: (before === null) ? null : before.map(serialize_principal),
+    after: (after === null) ? null : after.map(serialize_principal)
+  }
+  invalidate_effective_permissions(null, affected_users)
+  pending_change_events.push(change)
+  emitter.dispatchEvent(new CustomEvent('permissionChange', { detail: change }))
+  return change
+}
+
+// record that the given ACE was added to (or removed from) the file
+function record_ace_change(file, ace, is_added) {
+  let type = is_added ? change_event_types.ACE_ADDED : change_event_types.ACE_REMOVED
+  record_change(type, file, is_added ? null : serialize_ace(ace), is_added ? serialize_ace(ace) : null, get_affected_users(ace.who))
+}
+
+// remove the ACEs for which should_remove(ace) is true from the file, and record their removal.
+function remove_aces(file, should_remove) {
+  let removed_aces = file.acl.filter(should_remove)
+  file.acl = file.acl.filter(ace => !should_remove(ace))
+  for(let ace of removed_aces) {
+    record_ace_change(file, ace, false)
+  }
+}
+
+// while this is true, emitState does nothing, and drops the change events. For tools which make lots of edits that nobody logs (see tools/solve_scenarios.js)
+suppress_emit_state = false
+// while this is true, emitState does nothing, but keeps the change events for the next state it logs.
+// Used to log a whole batch of edits as a single state change (see begin_changeset in controller.js)
+hold_emit_state = false
+
 function emitState(purpose = "Permission state changed"){
+  if(suppress_emit_state) {
+    pending_change_events = []
+    return
+  }
+  if(hold_emit_state) {
+    return
+  }
   let allowedActions = get_allowed_actions_string()
 
   let data = new SpecialEventEntry(ActionEnum.SPECIAL_EVENT, new Date().getTime(), {
     purpose: purpose,
+    changes: pending_change_events,
     newState: allowedActions
   })
+  pending_change_events = []
   emitter.dispatchEvent(new CustomEvent('userEvent', { detail: data }));
 }
 
 // add each permission in "permissions" (all of is_allow type) for the given file and user
 function add_permissons(file, user, permissions, is_allow) {
   for(p of permissions) {
-    file.acl.push(make_ace(user, p, is_allow))
+    let ace = make_ace(user, p, is_allow)
+    file.acl.push(ace)
+    record_ace_change(file, ace, true)
   }
   emitState()
 }
 
 function remove_permissions(file, user, permissions, is_allow) {
-  file.acl = file.acl.filter(ace => {
-    return !(ace.who === user && permissions.includes(ace.permission) && ace.is_allow_ace === is_allow)}
+  remove_aces(file, ace => {
+    return (ace.who === user && permissions.includes(ace.permission) && ace.is_allow_ace === is_allow)}
     )
   emitState()
 }
 
 // remove all permissions for given file and user
 function remove_all_perms_for_user(file, user) {
-  file.acl = file.acl.filter(ace => ace.who !==user)
+  remove_aces(file, ace => ace.who === user)
   emitState()
 }
\ No newline at end of file
@@ -0,0 +1,185 @@
+// Generates large synthetic scenarios, for performance and stress testing (index.html?tag=generated).
+// The size of the generated world is set by URL parameters with the same names as default_generator_options,
+// e.g. index.html?tag=generated&depth=4&users=100&seed=7. The same options and seed always produce the same world.
+
+generated_scenario_tag = 'generated';
+
+default_generator_options = {
+    depth: 3, // levels of folders below the root folder
+    folders_per_folder: 3,
+    files_per_folder: 4,
+    users: 40,
+    groups: 8,
+    group_size: 6, // (direct) members of each group
+    nested_groups: 2, // how many of the groups also contain another group
+    deny_aces: 20, // deny entries, placed on random files and folders
+    broken_inheritance: 10, // files and folders which don't inherit from their parent
+    seed: 1,
+};
+
+// make a function which returns pseudo-random numbers in [0, 1), always the same sequence for the same seed.
+function make_random_generator(seed) {
+    let state = seed % 2147483647;
+    if (state <= 0) state += 2147483646;
+    return function () {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+// read the generator options from URL parameters (a URLSearchParams object); anything not given keeps its default value.
+function get_generator_options(search_params) {
+    let options = Object.assign({}, default_generator_options);
+    for (let name in default_generator_options) {
+        if (search_params.has(name)) {
+            let value = parseInt(search_params.get(name), 10);
+            if (isNaN(value) || value < 0) {
+                throw new Error(`Generator option ${name} must be a non-negative number, got: ${search_params.get(name)}`);
+            }
+            options[name] = value;
+        }
+    }
+    return options;
+}
+
+/*
+Make a scenario definition (in the format of scenarios/scenarios.json, see scenario_to_world) for a folder tree of the given size.
+The root folder gives full control to the administrator and read access to everyone; each folder below it gives modify access
+to a random user or group, and some random files and folders get deny entries or stop inheriting.
+*/
+function generate_scenario_definition(options = {}) {
+    options = Object.assign({}, default_generator_options, options);
+    let random = make_random_generator(options.seed);
+    let pick = (list) => list[Math.floor(random() * list.length)];
+
+    let user_names = [];
+    for (let i = 1; i <= options.users; i++) {
+        user_names.push(`user${i}`);
+    }
+    let group_names = [];
+    let groups = {};
+    for (let i = 1; i <= options.groups; i++) {
+        let name = `group${i}`;
+        groups[name] = [];
+        for (let j = 0; j < Math.min(options.group_size, user_names.length); j++) {
+            let member = pick(user_names);
+            if (!groups[name].includes(member)) {
+                groups[name].push(member);
+            }
+        }
+        // nest an earlier group, so membership can't form a cycle:
+        if (i > 1 && i <= options.nested_groups + 1) {
+            groups[name].push({ group: pick(group_names) });
+        }
+        group_names.push(name);
+    }
+    let principals = user_names.concat(group_names.map((name) => ({ group: name })));
+
+    let files = [
+        {
+            path: '/C',
+            owner: 'administrator',
+            is_folder: true,
+            using_permission_inheritance: false,
+            acl: [
+                { who: ['administrator'], permissions: 'full_control', type: 'allow' },
+                { who: principals, permissions: 'read', type: 'allow' },
+            ],
+        },
+    ];
+    let add_folder_contents = function (folder_path, level) {
+        for (let i = 1; i <= options.files_per_folder; i++) {
+            files.push({
+                path: `${folder_path}/file${i}.txt`,
+                owner: user_names.length > 0 ? pick(user_names) : 'administrator',
+                is_folder: false,
+                using_permission_inheritance: true,
+                acl: [],
+            });
+        }
+        if (level === options.depth) return;
+        for (let i = 1; i <= options.folders_per_folder; i++) {
+            let path = `${folder_path}/folder${i}`;
+            let acl = [];
+            if (principals.length > 0) {
+                acl.push({ who: [pick(principals)], permissions: 'modify', type: 'allow' });
+            }
+            files.push({
+                path: path,
+                owner: user_names.length > 0 ? pick(user_names) : 'administrator',
+                is_folder: true,
+                using_permission_inheritance: true,
+                acl: acl,
+            });
+            add_folder_contents(path, level + 1);
+        }
+    };
+    add_folder_contents('/C', 0);
+
+    // everything except the root folder can get deny entries and broken inheritance:
+    let below_root = files.slice(1);
+    if (below_root.length > 0 && principals.length > 0) {
+        for (let i = 0; i < options.deny_aces; i++) {
+            pick(below_root).acl.push({ who: [pick(principals)], permissions: pick(['read', 'modify']), type: 'deny' });
+        }
+    }
+    for (let i = 0; i < Math.min(options.broken_inheritance, below_root.length); i++) {
+        pick(below_root).using_permission_inheritance = false;
+    }
+
+    return {
+        scenario: `Generated scenario: ${files.length} files and folders, ${user_names.length} users, ${group_names.length} groups.`,
+        question: '',
+        pages: '',
+        inputType: 'textarea',
+        tag: generated_scenario_tag,
+        difficulty: 'generated',
+        groups: groups,
+        permission_sets: {
+            read: ['LIST', 'READ_ATTR', 'READ_EXTENDED_ATTR', 'READ_PERMS'],
+            modify: ['WRITE_DATA', 'APPEND_DATA', 'WRITE_ATTR', 'WRITE_EXTENDED_ATTR', 'DELETE', 'DELETE_SUB'],
+        },
+        files: files,
+        expected_outcome: [{ description: 'Nothing changes', unchanged: true }],
+    };
+}
+
+// time how long it takes to work out the effective permissions of every user on every file (first with an empty cache, then a full one)
+// and the grouped permissions shown in the permissions dialog. Logs and returns the timings in milliseconds.
+function benchmark_permissions() {
+    let file_list = Object.values(path_to_file);
+    let user_names = Object.keys(all_users).filter((name) => is_user(all_users[name]));
+    let time = function (run) {
+        let start = performance.now();
+        run();
+        return performance.now() - start;
+    };
+    let check_all = function () {
+        for (let file_obj of file_list) {
+            for (let username of user_names) {
+                for (let p of Object.values(permissions)) {
+                    allow_user_action(file_obj, username, p);
+                }
+            }
+        }
+    };
+
+    invalidate_effective_permissions();
+    let timings = {
+        files: file_list.length,
+        users: user_names.length,
+        allow_user_action_cold: time(check_all),
+        allow_user_action_cached: time(check_all),
+        get_grouped_permissions: time(function () {
+            for (let file_obj of file_list) {
+                for (let username in all_users) {
+                    get_grouped_permissions(file_obj, username);
+                }
+            }
+        }),
+        get_allowed_actions_string: time(get_allowed_actions_string),
+        render_file_structure: typeof file_structure_render_ms === 'undefined' ? null : file_structure_render_ms,
+    };
+    console.log('Permission benchmark (ms):', timings);
+    return timings;
+}
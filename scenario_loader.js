@@ -0,0 +1,136 @@
+// Sets up the scenario for this page from the declarative definitions in scenarios/scenarios.json:
+// builds the global `files` list (which controller.js displays) and fills in the task panel.
+// The scenario is picked by the ?tag= URL parameter (e.g. index.html?tag=let_ta_modify).
+// The tag 'generated' makes a large synthetic scenario instead (see scenario_generator.js).
+
+// get the list of all scenario definitions.
+// This is a synchronous request, since controller.js needs `files` as soon as it loads.
+// Throws an Error if the file can't be loaded, or isn't valid JSON.
+function load_scenario_definitions() {
+    let url = './scenarios/scenarios.json';
+    let request = new XMLHttpRequest();
+    request.open('GET', url, false);
+    request.send('');
+    // (a page opened from disk gets status 0 even when the file is there)
+    if (request.status !== 200 && !(request.status === 0 && request.responseText)) {
+        throw new Error(`Could not load ${url}: ${request.status} ${request.statusText}`);
+    }
+    try {
+        return JSON.parse(request.responseText);
+    } catch (error) {
+        throw new Error(`${url} is not valid JSON: ${error.message}`);
+    }
+}
+
+// get the list of permissions described by permission_spec: either the name of one of the scenario's permission_sets,
+// or a list of keys of `permissions` (e.g. 'WRITE_DATA'). The set 'full_control' is always available.
+function get_scenario_permissions(definition, permission_spec) {
+    let permission_sets = Object.assign({ full_control: Object.keys(permissions) }, definition.permission_sets);
+    let keys = permission_spec;
+    if (typeof permission_spec === 'string') {
+        if (!(permission_spec in permission_sets)) {
+            throw new Error(`Unknown permission set in scenario ${definition.tag}: ${permission_spec}`);
+        }
+        keys = permission_sets[permission_spec];
+    }
+    return keys.map((key) => {
+        if (!(key in permissions)) {
+            throw new Error(`Unknown permission in scenario ${definition.tag}: ${key}`);
+        }
+        return permissions[key];
+    });
+}
+
+// replace the page with an error screen, for when there is no scenario with the requested tag (or it couldn't be made, for the given reason).
+function show_unknown_scenario_error(tag, reason = null) {
+    document.getElementById('scenario_error_tag').textContent = tag === null ? '(no tag given)' : tag;
+    document.getElementById('scenario_error_reason').textContent = reason === null ? '' : reason;
+    document.getElementById('scenario_error').style.display = '';
+    document.getElementById('html-loc').style.display = 'none';
+}
+
+/*
+Convert a scenario definition into the format read by deserialize_world (see model.js). A definition has:
+ - groups: map of group name to its members - user names, or {group: name} for nested groups
+ - directory (optional): map of user or group name to {display_name, description}, for the principal directory (see principal_directory).
+   Users listed here can be picked in the interface even if no ACL mentions them.
+ - permission_sets: map of name to a list of permission keys, for use in ACL entries
+ - files: [{path, owner, is_folder, using_permission_inheritance, acl}], where the parent folder is taken from the path.
+   Each ACL entry {who, permissions, type, applies_to} gives each principal in `who` each of the permissions, in order (like make_crossjoin_acl);
+   type is 'allow' or 'deny', and applies_to is an optional key of ace_scopes.
+ - owner_rights_policy (optional): settings for set_owner_rights_policy
+as well as the task text (scenario), difficulty and expected_outcome, which are used by the task panel and validation (see evaluate_expected_outcome).
+*/
+function scenario_to_world(definition) {
+    let groups = definition.groups || {};
+    let directory = definition.directory || {};
+    return {
+        version: world_format_version,
+        owner_rights_policy: definition.owner_rights_policy || {},
+        groups: Object.keys(groups).map((name) => ({ name: name, users: groups[name] })),
+        directory: Object.keys(directory).map((name) => Object.assign({ name: name }, directory[name])),
+        files: definition.files.map((file_def) => {
+            let acl = [];
+            for (let entry of file_def.acl) {
+                if (entry.applies_to !== undefined && !(entry.applies_to in ace_scopes)) {
+                    throw new Error(`Unknown ACE scope in scenario ${definition.tag}: ${entry.applies_to}`);
+                }
+                for (let who of entry.who) {
+                    for (let p of get_scenario_permissions(definition, entry.permissions)) {
+                        acl.push({
+                            who: who,
+                            permission: p,
+                            is_allow_ace: entry.type === 'allow',
+                            applies_to: ace_scopes[entry.applies_to || 'THIS_FOLDER_SUBFOLDERS_FILES'],
+                        });
+                    }
+                }
+            }
+            let separator = file_def.path.lastIndexOf('/');
+            return {
+                path: file_def.path,
+                parent: separator > 0 ? file_def.path.slice(0, separator) : null,
+                filename: file_def.path.slice(separator + 1),
+                owner: file_def.owner,
+                is_folder: file_def.is_folder,
+                using_permission_inheritance: file_def.using_permission_inheritance,
+                acl: acl,
+            };
+        }),
+    };
+}
+
+// set up the page. (Outside of the page, e.g. in the Node tools, only the functions above are used.)
+if (typeof document !== 'undefined') {
+    scenario_context_elem = document.getElementById('scenario_context');
+    url_params = new URLSearchParams(window.location.search);
+    scenario_tag = url_params.get('tag');
+    files = [];
+    let scenario_error = null;
+    try {
+        if (scenario_tag === generated_scenario_tag) {
+            current_scenario = generate_scenario_definition(get_generator_options(url_params)); // see scenario_generator.js
+        } else {
+            current_scenario = load_scenario_definitions().find((definition) => definition.tag === scenario_tag);
+        }
+        if (current_scenario !== undefined) {
+            let world = deserialize_world(scenario_to_world(current_scenario));
+            files = world.files;
+            admin_group = world.admin_group;
+            owner_rights_policy = world.owner_rights_policy;
+            principal_directory = world.directory;
+        }
+    } catch (error) {
+        // (bad generator options in the URL, scenarios.json couldn't be loaded, or the scenario refers to things which don't exist)
+        current_scenario = undefined;
+        scenario_error = error.message;
+    }
+
+    if (current_scenario === undefined) {
+        console.error(`Unknown scenario: ${scenario_tag}`, scenario_error === null ? '' : scenario_error);
+        show_unknown_scenario_error(scenario_tag, scenario_error);
+    } else {
+        scenario_context_elem.dataset['tag'] = scenario_tag;
+        scenario_context_elem.innerHTML = current_scenario.scenario;
+    }
+}
@@ -0,0 +1,451 @@
+// Unit tests for the permission editing functions in controller.js. Run with: npm test
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { load_app, plain } = require('../tools/load_app');
+
+//   /docs             - staff may read and write; guest may read (user3 is in staff, but doesn't own anything)
+//   /docs/notes.txt   - inherits, and guest may also write
+//   /docs/old         - inherits
+// (permission_groups only exists once controller.js is loaded, so the Read and Write groups are spelled out here)
+function make_files(app) {
+    let read = [app.permissions.LIST, app.permissions.READ_ATTR, app.permissions.READ_EXTENDED_ATTR, app.permissions.READ_PERMS];
+    let write = [app.permissions.WRITE_DATA, app.permissions.APPEND_DATA, app.permissions.WRITE_ATTR, app.permissions.WRITE_EXTENDED_ATTR];
+    app.staff = app.make_group('staff', ['user1', 'user2', 'user3']);
+    app.docs = app.make_file('docs', 'user1', null, [
+        ...app.make_crossjoin_acl([app.staff], read, true),
+        ...app.make_crossjoin_acl([app.staff], write, true),
+        ...app.make_crossjoin_acl(['guest'], read, true),
+    ], false, true);
+    app.notes = app.make_file('notes.txt', 'user1', app.docs, app.make_crossjoin_acl(['guest'], write, true), true, false);
+    app.old = app.make_file('old', 'user2', app.docs, [], true, true);
+    return [app.docs, app.notes, app.old];
+}
+
+// a folder with ACEs of every kind of scope, for a subfolder to inherit:
+//   /top                 - see below
+//   /top/sub             - inherits
+//   /top/sub/f.txt       - inherits
+//   /top/sub/deeper      - inherits
+function make_scoped_files(app) {
+    app.team = app.make_group('team', ['m1', 'm2']);
+    app.top = app.make_file('top', 'o1', null, [
+        app.make_ace('u', app.permissions.WRITE_DATA, true, app.ace_scopes.FILES_ONLY),
+        app.make_ace('v', app.permissions.LIST, true, app.ace_scopes.THIS_FOLDER_ONLY),
+        app.make_ace('w', app.permissions.READ_ATTR, true, app.ace_scopes.SUBFOLDERS_ONLY),
+        app.make_ace('x', app.permissions.APPEND_DATA, false, app.ace_scopes.SUBFOLDERS_FILES_ONLY),
+        app.make_ace('x', app.permissions.APPEND_DATA, true, app.ace_scopes.THIS_FOLDER_FILES),
+        app.make_ace(app.team, app.permissions.LIST, true),
+        app.make_ace(app.special_principals.CREATOR_OWNER, app.permissions.DELETE, true),
+    ], false, true);
+    app.sub = app.make_file('sub', 'o2', app.top, [app.make_ace('v', app.permissions.READ_ATTR, true)], true, true);
+    app.sub_file = app.make_file('f.txt', 'o3', app.sub, [], true, false);
+    app.deeper = app.make_file('deeper', 'o4', app.sub, [], true, true);
+    return [app.top, app.sub, app.sub_file, app.deeper];
+}
+
+// the effective permissions of every user on every file, as a list of 'path:user:permission'
+function get_effective_permissions(app) {
+    return [...app.get_permission_state()].sort();
+}
+
+describe('recompute_file_structure', () => {
+    it('lists the users in the directory and the members of groups', () => {
+        let app = load_app(make_files);
+        app.principal_directory = { newbie: app.make_directory_entry('newbie') };
+        app.recompute_file_structure(app.files);
+        assert.strictEqual(app.all_users.newbie, 'newbie');
+        assert.strictEqual(app.all_users.user2, 'user2');
+        app.toggle_permission_group('/docs', 'newbie', 'Read', 'allow', true);
+        assert.strictEqual(app.allow_user_action(app.docs, 'newbie', app.permissions.LIST), true);
+    });
+});
+
+describe('group management', () => {
+    let app;
+    beforeEach(() => {
+        app = load_app(make_files);
+    });
+
+    it('creates groups which can be given permissions before they have members', () => {
+        assert.strictEqual(app.create_group('auditors'), true);
+        assert.strictEqual(app.create_group('auditors'), false);
+        assert.strictEqual(app.create_group('no spaces'), false);
+        app.toggle_permission_group('/docs', 'auditors', 'Read', 'allow', true);
+        assert.strictEqual(app.add_group_member('auditors', 'guest'), true);
+        assert.strictEqual(app.all_users.auditors.users.length, 1);
+    });
+
+    it('changes effective permissions when membership changes, and logs the change', () => {
+        let states = [];
+        app.emitter.addEventListener('userEvent', (e) => states.push(e.detail.data));
+        assert.strictEqual(app.allow_user_action(app.docs, 'guest', app.permissions.WRITE_DATA), false);
+        app.add_group_member('staff', 'guest');
+        assert.strictEqual(app.allow_user_action(app.docs, 'guest', app.permissions.WRITE_DATA), true);
+        assert.strictEqual(states.length, 1);
+        assert.deepStrictEqual(plain(states[0].changes.map((change) => [change.type, change.group])), [[app.change_event_types.MEMBERS_CHANGED, 'staff']]);
+        app.remove_group_member('staff', 'guest');
+        assert.strictEqual(app.allow_user_action(app.docs, 'guest', app.permissions.WRITE_DATA), false);
+    });
+
+    it('refuses to make a group contain itself', () => {
+        app.create_group('outer');
+        app.add_group_member('outer', 'staff');
+        assert.strictEqual(app.add_group_member('staff', 'outer'), false);
+        assert.strictEqual(app.add_group_member('staff', 'staff'), false);
+    });
+
+    it('deletes a group along with its ACEs, and undoes that', () => {
+        assert.strictEqual(app.delete_group('staff'), true);
+        assert.strictEqual('staff' in app.all_users, false);
+        assert.strictEqual(app.docs.acl.some((ace) => ace.who === app.staff), false);
+        assert.strictEqual(app.allow_user_action(app.docs, 'user2', app.permissions.LIST), false);
+        app.undo();
+        assert.strictEqual(app.all_users.staff, app.staff);
+        assert.strictEqual(app.allow_user_action(app.docs, 'user2', app.permissions.LIST), true);
+    });
+
+    it('undoes and redoes creating a group', () => {
+        app.create_group('auditors');
+        app.undo();
+        assert.strictEqual('auditors' in app.all_users, false);
+        app.redo();
+        assert.strictEqual('auditors' in app.all_users, true);
+    });
+});
+
+describe('load_world', () => {
+    it('forgets the undo and redo history and any open changeset of the old world', () => {
+        let app = load_app(make_files);
+        let snapshot = app.snapshot_world();
+        app.toggle_permission_group('/docs', 'guest', 'Write', 'allow', true);
+        app.toggle_permission_group('/docs', 'guest', 'Write', 'allow', false);
+        app.undo();
+        app.begin_changeset();
+        app.load_world(snapshot);
+        assert.strictEqual(app.undo_stack.length, 0);
+        assert.strictEqual(app.redo_stack.length, 0);
+        assert.strictEqual(app.pending_changeset, null);
+        assert.strictEqual(app.hold_emit_state, false);
+        assert.strictEqual(app.undo(), null);
+        assert.strictEqual(app.redo(), null);
+    });
+});
+
+describe('changesets', () => {
+    let app;
+    let purposes;
+    let can_write = () => app.allow_user_action(app.docs, 'guest', app.permissions.WRITE_DATA);
+    let can_append_old = () => app.allow_user_action(app.old, 'guest', app.permissions.APPEND_DATA);
+    beforeEach(() => {
+        app = load_app(make_files);
+        purposes = [];
+        app.emitter.addEventListener('userEvent', (e) => purposes.push(e.detail.data.purpose));
+    });
+
+    it('logs committed edits once, as a single undoable command', () => {
+        app.begin_changeset();
+        app.toggle_permission_group('/docs', 'guest', 'Write', 'allow', true);
+        app.toggle_permission_group('/docs/old', 'guest', 'Write', 'deny', true);
+        assert.deepStrictEqual(purposes, []);
+        assert.strictEqual(app.get_pending_changes().length, 2 * app.permission_groups.Write.length);
+        assert.strictEqual(app.commit_changeset(), true);
+        assert.deepStrictEqual(purposes, ['Applied permission changes']);
+        assert.strictEqual(app.undo_stack.length, 1);
+        app.undo();
+        assert.strictEqual(can_write(), false);
+        assert.strictEqual(can_append_old(), false); // (guest couldn't before either)
+        assert.strictEqual(app.hold_emit_state, false);
+    });
+
+    it('undoes discarded edits without logging anything', () => {
+        app.begin_changeset();
+        app.toggle_permission_group('/docs', 'guest', 'Write', 'allow', true);
+        app.discard_changeset();
+        assert.strictEqual(can_write(), false);
+        assert.deepStrictEqual(purposes, []);
+        assert.strictEqual(app.pending_change_events.length, 0);
+        assert.strictEqual(app.undo_stack.length, 0);
+    });
+
+    it('logs undo and redo while a changeset is open, and then logs discarding it', () => {
+        app.begin_changeset();
+        app.toggle_permission_group('/docs', 'guest', 'Write', 'allow', true);
+        app.undo();
+        app.redo();
+        assert.deepStrictEqual(purposes, ['Undo: Set allow Write for guest on /docs', 'Redo: Set allow Write for guest on /docs']);
+        assert.strictEqual(can_write(), true);
+        app.discard_changeset();
+        assert.strictEqual(can_write(), false);
+        assert.strictEqual(purposes[2], 'Discarded permission changes');
+    });
+
+    it('logs nothing, and keeps no change events, while the caller suppresses logging (as the solver does)', () => {
+        app.suppress_emit_state = true;
+        app.toggle_permission_group('/docs', 'guest', 'Write', 'allow', true);
+        app.undo();
+        app.redo();
+        app.begin_changeset();
+        app.undo();
+        app.discard_changeset();
+        assert.deepStrictEqual(purposes, []);
+        assert.strictEqual(app.pending_change_events.length, 0);
+        assert.strictEqual(app.suppress_emit_state, true);
+    });
+
+    it('undoes and redoes edits which were already applied (Apply, then Ctrl+Z)', () => {
+        app.begin_changeset();
+        app.toggle_permission_group('/docs', 'guest', 'Write', 'allow', true);
+        app.commit_changeset();
+        app.begin_changeset();
+        assert.notStrictEqual(app.undo(), null);
+        assert.strictEqual(can_write(), false);
+        assert.strictEqual(app.get_pending_changes().length, 0); // (the undo is kept right away, like the edits it undoes)
+        app.discard_changeset();
+        assert.strictEqual(can_write(), false);
+
+        app.begin_changeset();
+        assert.notStrictEqual(app.redo(), null);
+        assert.strictEqual(app.get_pending_changes().length, 0);
+        app.discard_changeset();
+        assert.strictEqual(can_write(), true);
+    });
+
+    it('keeps the edits of a committed inner changeset staged in the outer one, and discards just those of a discarded one', () => {
+        app.begin_changeset();
+        app.toggle_permission_group('/docs', 'guest', 'Write', 'allow', true);
+        let inner = app.begin_changeset();
+        assert.strictEqual(app.pending_changeset, inner);
+        app.toggle_permission_group('/docs/old', 'guest', 'Write', 'deny', true);
+        app.discard_changeset();
+        assert.strictEqual(can_append_old(), true);
+        assert.strictEqual(can_write(), true);
+        assert.strictEqual(app.hold_emit_state, true);
+
+        app.begin_changeset();
+        app.toggle_permission_group('/docs/old', 'guest', 'Write', 'deny', true);
+        assert.strictEqual(app.commit_changeset(), true);
+        assert.deepStrictEqual(purposes, []);
+        assert.strictEqual(can_append_old(), false);
+        app.discard_changeset();
+        assert.strictEqual(can_write(), false);
+        assert.strictEqual(app.pending_changeset, null);
+        assert.strictEqual(app.undo_stack.length, 0);
+    });
+});
+
+describe('resolve_user_name', () => {
+    it('prefers exact matches of the name or display name, ignoring case', () => {
+        let app = load_app(make_files);
+        app.principal_directory = { user1: app.make_directory_entry('user1', 'Ursula One') };
+        app.recompute_file_structure(app.files);
+        assert.deepStrictEqual(plain(app.resolve_user_name(' USER1 ')), ['user1']);
+        assert.deepStrictEqual(plain(app.resolve_user_name('ursula one')), ['user1']);
+        assert.deepStrictEqual(plain(app.resolve_user_name('user').sort()), ['user1', 'user2', 'user3']);
+        assert.deepStrictEqual(plain(app.resolve_user_name('nobody')), []);
+    });
+});
+
+describe('get_grouped_permissions', () => {
+    let app;
+    beforeEach(() => {
+        app = load_app(make_files);
+    });
+
+    it('checks the groups whose permissions are all set', () => {
+        let grouped = plain(app.get_grouped_permissions(app.docs, 'guest'));
+        assert.deepStrictEqual(Object.keys(grouped.allow), ['Read']);
+        assert.deepStrictEqual(grouped.allow.Read, { set: true, inherited: false, applies_to: [app.ace_scopes.THIS_FOLDER_SUBFOLDERS_FILES] });
+        assert.deepStrictEqual(grouped.deny, {});
+    });
+
+    it('marks groups which are (partly) inherited', () => {
+        let grouped = plain(app.get_grouped_permissions(app.notes, 'guest'));
+        assert.strictEqual(grouped.allow.Read.inherited, true);
+        assert.strictEqual(grouped.allow.Write.inherited, false);
+    });
+
+    it('includes permissions a user gets through a group', () => {
+        let grouped = plain(app.get_grouped_permissions(app.docs, 'user2'));
+        assert.deepStrictEqual(Object.keys(grouped.allow).sort(), ['Read', 'Write']);
+    });
+
+    it('falls back to special permissions for permissions outside any full group', () => {
+        app.docs.acl.push(app.make_ace('guest', app.permissions.DELETE, false));
+        let grouped = plain(app.get_grouped_permissions(app.docs, 'guest'));
+        assert.strictEqual(grouped.deny.Special_permissions.set, true);
+        assert.strictEqual(grouped.deny.Delete, undefined);
+    });
+});
+
+describe('convert_parent_permissions', () => {
+    let app;
+    beforeEach(() => {
+        app = load_app(make_files);
+    });
+
+    it('turns inheritance off and keeps the effective permissions', () => {
+        let before = get_effective_permissions(app);
+        app.convert_parent_permissions(app.notes);
+        assert.strictEqual(app.notes.using_permission_inheritance, false);
+        assert.deepStrictEqual(get_effective_permissions(app), before);
+    });
+
+    it('copies the inherited permissions into the file\'s own ACL', () => {
+        app.convert_parent_permissions(app.notes);
+        let guest_read = app.notes.acl.filter((ace) => ace.who === 'guest' && app.permission_groups.Read.includes(ace.permission));
+        assert.strictEqual(guest_read.length, app.permission_groups.Read.length);
+        assert.strictEqual(plain(app.get_grouped_permissions(app.notes, 'guest')).allow.Read.inherited, false);
+    });
+
+    it('copies a group\'s ACEs for the group, for members who don\'t own anything too', () => {
+        app.convert_parent_permissions(app.notes);
+        let staff_write = app.notes.acl.filter((ace) => ace.permission === app.permissions.WRITE_DATA && ace.is_allow_ace && ace.who !== 'guest');
+        assert.strictEqual(staff_write.length, 1);
+        assert.strictEqual(staff_write[0].who, app.staff);
+        assert.strictEqual(app.allow_user_action(app.notes, 'user3', app.permissions.WRITE_DATA), true);
+    });
+
+    it('does nothing to a file which doesn\'t inherit', () => {
+        app.convert_parent_permissions(app.docs);
+        assert.strictEqual(app.undo_stack.length, 0);
+    });
+
+    it('keeps the effective permissions of everything inside a folder, whatever the scope of the inherited ACEs', () => {
+        app = load_app(make_scoped_files);
+        let before = get_effective_permissions(app);
+        app.convert_parent_permissions(app.sub);
+        assert.strictEqual(app.sub.using_permission_inheritance, false);
+        assert.deepStrictEqual(get_effective_permissions(app), before);
+        // (the ACE which only reaches the files inside keeps its scope)
+        assert.strictEqual(app.sub.acl.find((ace) => ace.who === 'u').applies_to, app.ace_scopes.FILES_ONLY);
+    });
+
+    it('copies a group\'s ACE for the group, not for each of its members', () => {
+        app = load_app(make_scoped_files);
+        app.convert_parent_permissions(app.sub);
+        assert.strictEqual(app.sub.acl.some((ace) => ace.who === 'm1'), false);
+        app.remove_permissions(app.sub, app.team, [app.permissions.LIST], true);
+        assert.strictEqual(app.allow_user_action(app.sub_file, 'm1', app.permissions.LIST), false);
+    });
+
+    it('can be undone', () => {
+        let acl = app.notes.acl.slice();
+        app.convert_parent_permissions(app.notes);
+        app.undo();
+        assert.strictEqual(app.notes.using_permission_inheritance, true);
+        assert.deepStrictEqual(app.notes.acl, acl);
+    });
+});
+
+describe('replace_child_perm_with_inherited', () => {
+    let app;
+    beforeEach(() => {
+        app = load_app(make_files);
+    });
+
+    it('clears the children\'s own ACLs and makes them inherit', () => {
+        app.set_inheritance(app.old, false);
+        app.replace_child_perm_with_inherited(app.docs);
+        for (let child of [app.notes, app.old]) {
+            assert.strictEqual(child.using_permission_inheritance, true);
+            assert.strictEqual(child.acl.length, 0);
+        }
+        assert.strictEqual(app.allow_user_action(app.notes, 'guest', app.permissions.WRITE_DATA), false);
+        assert.strictEqual(app.allow_user_action(app.old, 'user2', app.permissions.WRITE_DATA), true);
+    });
+
+    it('records a children_reset change with the old ACLs', () => {
+        let changes = [];
+        app.emitter.addEventListener('permissionChange', (e) => changes.push(e.detail));
+        app.replace_child_perm_with_inherited(app.docs);
+        assert.strictEqual(changes.length, 1);
+        assert.strictEqual(changes[0].type, app.change_event_types.CHILDREN_RESET);
+        assert.strictEqual(changes[0].before.find((child) => child.file === '/docs/notes.txt').acl.length, app.permission_groups.Write.length);
+    });
+
+    it('can be undone', () => {
+        app.replace_child_perm_with_inherited(app.docs);
+        app.undo();
+        assert.strictEqual(app.allow_user_action(app.notes, 'guest', app.permissions.WRITE_DATA), true);
+    });
+});
+
+describe('toggle_permission_group', () => {
+    let app;
+    beforeEach(() => {
+        app = load_app(make_files);
+    });
+
+    it('adds and removes a whole group of permissions', () => {
+        app.toggle_permission_group('/docs/old', 'guest', 'Write', 'deny', true);
+        assert.strictEqual(app.allow_user_action(app.old, 'guest', app.permissions.APPEND_DATA), false);
+        assert.strictEqual(plain(app.get_grouped_permissions(app.old, 'guest')).deny.Write.set, true);
+        app.toggle_permission_group('/docs/old', 'guest', 'Write', 'deny', false);
+        assert.strictEqual(plain(app.get_grouped_permissions(app.old, 'guest')).deny.Write, undefined);
+    });
+
+    it('records nothing to undo for an edit which changes nothing', () => {
+        app.toggle_permission_group('/docs/old', 'guest', 'Write', 'deny', true);
+        app.undo();
+        app.toggle_permission_group('/docs', 'guest', 'Read', 'allow', true); // (guest may read already)
+        app.toggle_permission('/docs/old', 'guest', app.permissions.DELETE, 'allow', false);
+        app.remove_user_from_file('/docs/old', 'user1');
+        assert.strictEqual(app.undo_stack.length, 0);
+        assert.strictEqual(app.redo_stack.length, 1);
+        assert.strictEqual(app.allow_user_action(app.docs, 'guest', app.permissions.LIST), true);
+    });
+
+    it('applies a batch edit as one undoable command', () => {
+        let changes = app.toggle_permission_group_batch(['/docs/notes.txt', '/docs/old'], ['user1', 'user2'], 'Read', 'deny', true);
+        assert.strictEqual(changes.length, 2 * 2 * app.permission_groups.Read.length);
+        assert.strictEqual(app.allow_user_action(app.old, 'user2', app.permissions.LIST), false);
+        app.undo();
+        assert.strictEqual(app.allow_user_action(app.old, 'user2', app.permissions.LIST), true);
+    });
+});
+
+describe('get_side_effect_report', () => {
+    let app;
+    beforeEach(() => {
+        app = load_app(make_files);
+        app.current_scenario = { tag: 'test', permission_sets: {}, expected_outcome: [] };
+    });
+
+    it('reports nothing when nothing changed', () => {
+        let report = plain(app.get_side_effect_report([
+            { description: 'guest may write the old folder', who: ['guest'], files: ['/docs/old'], permissions: ['WRITE_DATA'], allowed: true },
+        ]));
+        assert.deepStrictEqual(report, { summary: { intended: 0, collateral_gain: 0, collateral_loss: 0 }, changes: [] });
+    });
+
+    it('tells permissions which a rule asks for from ones gained along with them', () => {
+        app.toggle_permission_group('/docs/old', 'guest', 'Write', 'allow', true);
+        let report = plain(app.get_side_effect_report([
+            { description: 'guest may write the old folder', who: ['guest'], files: ['/docs/old'], permissions: ['WRITE_DATA'], allowed: true },
+        ]));
+        let gained = app.permission_groups.Write.filter((p) => p !== app.permissions.WRITE_DATA);
+        assert.deepStrictEqual(report.summary, { intended: 1, collateral_gain: gained.length, collateral_loss: 0 });
+        assert.deepStrictEqual(report.changes, [{
+            user: 'guest',
+            file: '/docs/old',
+            intended: [{ permission: app.permissions.WRITE_DATA, allowed: true }],
+            collateral_gain: plain(gained),
+            collateral_loss: [],
+        }]);
+    });
+
+    it('reports permissions which were lost although no rule asks for it', () => {
+        app.toggle_permission_group('/docs', 'guest', 'Read', 'allow', false);
+        let report = plain(app.get_side_effect_report([
+            { description: 'guest may not list the docs folder', who: ['guest'], files: ['/docs'], permissions: ['LIST'], allowed: false },
+        ]));
+        let read = app.permission_groups.Read.length;
+        assert.deepStrictEqual(report.summary, { intended: 1, collateral_gain: 0, collateral_loss: 3 * read - 1 });
+        let docs = report.changes.find((change) => change.file === '/docs');
+        assert.deepStrictEqual(docs.intended, [{ permission: app.permissions.LIST, allowed: false }]);
+        assert.strictEqual(docs.collateral_loss.length, read - 1);
+        assert.deepStrictEqual(report.changes.map((change) => change.file).sort(), ['/docs', '/docs/notes.txt', '/docs/old']);
+        assert.strictEqual(report.changes.every((change) => change.user === 'guest' && change.collateral_gain.length === 0), true);
+    });
+});
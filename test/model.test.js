@@ -0,0 +1,289 @@
+// Unit tests for the permissions logic in model.js. Run with: npm test
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { load_app, plain } = require('../tools/load_app');
+
+// a folder with a subfolder and a file inside it:
+//   /shared          - employees may read; intern1 may not write
+//   /shared/reports  - inherits, and adds write access for user4
+//   /shared/reports/q1.txt - inherits
+//   /shared/private.txt    - doesn't inherit
+function make_files(app) {
+    app.interns = app.make_group('interns', ['intern1']);
+    app.employees = app.make_group('employees', ['user4', app.interns]);
+    app.shared = app.make_file('shared', 'owner1', null, [
+        app.make_ace('intern1', app.permissions.WRITE_DATA, false),
+        app.make_ace(app.employees, app.permissions.LIST, true),
+        app.make_ace(app.employees, app.permissions.WRITE_DATA, true),
+    ], false, true);
+    app.reports = app.make_file('reports', 'owner1', app.shared, [
+        app.make_ace('user4', app.permissions.APPEND_DATA, true),
+    ], true, true);
+    app.q1 = app.make_file('q1.txt', 'user4', app.reports, [], true, false);
+    app.private_file = app.make_file('private.txt', 'owner1', app.shared, [], false, false);
+    return [app.shared, app.reports, app.q1, app.private_file];
+}
+
+describe('allow_user_action', () => {
+    let app;
+    beforeEach(() => {
+        app = load_app(make_files);
+    });
+
+    it('allows what an allow ACE grants', () => {
+        assert.strictEqual(app.allow_user_action(app.reports, 'user4', app.permissions.APPEND_DATA), true);
+    });
+
+    it('denies what no ACE grants', () => {
+        assert.strictEqual(app.allow_user_action(app.reports, 'user4', app.permissions.DELETE), false);
+        assert.strictEqual(app.allow_user_action(app.shared, 'stranger', app.permissions.LIST), false);
+    });
+
+    it('lets a deny ACE win over an allow ACE at the same level', () => {
+        assert.strictEqual(app.allow_user_action(app.shared, 'intern1', app.permissions.WRITE_DATA), false);
+        assert.strictEqual(app.allow_user_action(app.shared, 'user4', app.permissions.WRITE_DATA), true);
+    });
+
+    it('gives the owner and administrators their implicit rights', () => {
+        assert.strictEqual(app.allow_user_action(app.shared, 'owner1', app.permissions.CHANGE_PERMS), true);
+        assert.strictEqual(app.allow_user_action(app.shared, 'administrator', app.permissions.TAKE_OWNERSHIP), true);
+        assert.strictEqual(app.allow_user_action(app.shared, 'owner1', app.permissions.WRITE_DATA), false);
+    });
+
+    it('explains which ACE decided', () => {
+        let explanation = app.allow_user_action(app.shared, 'intern1', app.permissions.WRITE_DATA, true);
+        assert.strictEqual(explanation.is_allowed, false);
+        assert.strictEqual(explanation.ace_responsible, app.shared.acl[0]);
+        assert.strictEqual(explanation.file_responsible, app.shared);
+        assert.strictEqual(explanation.considered_aces.length, 3);
+        assert.strictEqual(explanation.considered_aces[0].ace, app.shared.acl[0]);
+    });
+
+    it('lists every ACE it considered, with the reason each one was passed over', () => {
+        app.shared.acl.push(app.make_ace('intern1', app.permissions.WRITE_DATA, true, app.ace_scopes.SUBFOLDERS_ONLY));
+        app.shared.acl.push(app.make_ace(app.special_principals.CREATOR_OWNER, app.permissions.WRITE_DATA, true));
+        let considered = app.allow_user_action(app.reports, 'intern1', app.permissions.WRITE_DATA, true).considered_aces;
+        assert.deepStrictEqual(plain(considered.map((entry) => [entry.ace.who.name || entry.ace.who, entry.ace.permission, entry.inherited, entry.skip_reason])), [
+            ['user4', app.permissions.APPEND_DATA, false, app.trace_skip_reasons.DIFFERENT_PERMISSION],
+            ['intern1', app.permissions.WRITE_DATA, true, null],
+            ['employees', app.permissions.LIST, true, app.trace_skip_reasons.DIFFERENT_PERMISSION],
+            ['employees', app.permissions.WRITE_DATA, true, null],
+            ['intern1', app.permissions.WRITE_DATA, true, null],
+            [app.special_principals.CREATOR_OWNER, app.permissions.WRITE_DATA, true, app.trace_skip_reasons.WRONG_PRINCIPAL],
+        ]);
+        considered = app.allow_user_action(app.shared, 'intern1', app.permissions.WRITE_DATA, true).considered_aces;
+        assert.strictEqual(considered[3].skip_reason, app.trace_skip_reasons.OUT_OF_SCOPE);
+        assert.strictEqual(considered[4].skip_reason, app.trace_skip_reasons.NOT_INHERITED);
+    });
+
+    it('includes a trace when asked to', () => {
+        let explanation = app.allow_user_action(app.q1, 'user4', app.permissions.APPEND_DATA, false, true);
+        assert.strictEqual(explanation.is_allowed, true);
+        assert.strictEqual(explanation.trace.stop_reason, app.trace_stop_reasons.ALLOW_ACE);
+    });
+
+    it('includes a trace for a group, with the trace of each member', () => {
+        let explanation = app.allow_user_action(app.shared, app.employees, app.permissions.WRITE_DATA, false, true);
+        assert.strictEqual(explanation.is_allowed, false);
+        assert.strictEqual(explanation.trace.user, 'employees');
+        assert.strictEqual(explanation.trace.stop_reason, app.trace_stop_reasons.GROUP_MEMBERS);
+        assert.deepStrictEqual(plain(explanation.trace.members.map((member) => [member.user, member.is_allowed, member.trace.stop_reason])), [
+            ['user4', true, app.trace_stop_reasons.ALLOW_ACE],
+            ['intern1', false, app.trace_stop_reasons.DENY_ACE],
+        ]);
+        assert.strictEqual(app.allow_user_action(app.shared, app.employees, app.permissions.WRITE_DATA, true).trace, null);
+    });
+
+    it('names the groups through which a user matched in the trace', () => {
+        let trace = app.allow_user_action(app.shared, 'intern1', app.permissions.LIST, false, true).trace;
+        let decided = trace.levels[0].aces.find((entry) => entry.result === 'decided');
+        assert.strictEqual(decided.who, 'employees');
+        assert.deepStrictEqual(plain(decided.via_groups), ['employees', 'interns']);
+    });
+});
+
+describe('group resolution', () => {
+    let app;
+    beforeEach(() => {
+        app = load_app(make_files);
+    });
+
+    it('collects the members of nested groups', () => {
+        assert.deepStrictEqual(plain(app.get_group_members(app.employees)), ['user4', 'intern1']);
+        assert.strictEqual(app.is_group_member('intern1', app.employees), true);
+        assert.strictEqual(app.is_group_member('user4', app.interns), false);
+    });
+
+    it('finds the chain of groups through which a user is a member', () => {
+        assert.deepStrictEqual(plain(app.get_membership_path('intern1', app.employees)), ['employees', 'interns']);
+        assert.strictEqual(app.get_membership_path('stranger', app.employees), null);
+    });
+
+    it('rejects groups which contain themselves', () => {
+        let group_a = app.make_group('a', []);
+        let group_b = app.make_group('b', [group_a]);
+        group_a.users.push(group_b);
+        assert.throws(() => app.get_group_members(group_a), /cycle detected: a -> b -> a/);
+    });
+
+    it('applies ACEs for a group to members of its nested groups', () => {
+        assert.strictEqual(app.allow_user_action(app.shared, 'intern1', app.permissions.LIST), true);
+    });
+
+    it('reports which members of a group are allowed', () => {
+        let group_permission = app.get_group_effective_permission(app.shared, app.employees, app.permissions.WRITE_DATA);
+        assert.strictEqual(group_permission.all_members, false);
+        assert.strictEqual(group_permission.some_members, true);
+        assert.deepStrictEqual(plain(group_permission.allowed_members), ['user4']);
+        assert.deepStrictEqual(plain(group_permission.denied_members), ['intern1']);
+        assert.strictEqual(app.allow_user_action(app.shared, app.employees, app.permissions.LIST), true);
+    });
+});
+
+describe('inheritance', () => {
+    let app;
+    beforeEach(() => {
+        app = load_app(make_files);
+    });
+
+    it('passes permissions down to files which inherit', () => {
+        assert.strictEqual(app.allow_user_action(app.q1, 'user4', app.permissions.APPEND_DATA), true);
+        assert.strictEqual(app.allow_user_action(app.q1, 'intern1', app.permissions.LIST), true);
+    });
+
+    it('stops at files which don\'t inherit', () => {
+        assert.strictEqual(app.allow_user_action(app.private_file, 'user4', app.permissions.LIST), false);
+    });
+
+    it('lets an explicit allow win over an inherited deny', () => {
+        app.reports.acl.push(app.make_ace('intern1', app.permissions.WRITE_DATA, true));
+        assert.strictEqual(app.allow_user_action(app.reports, 'intern1', app.permissions.WRITE_DATA), true);
+        assert.strictEqual(app.allow_user_action(app.q1, 'intern1', app.permissions.WRITE_DATA), true);
+        let considered = app.allow_user_action(app.reports, 'intern1', app.permissions.WRITE_DATA, true).considered_aces;
+        let matching = considered.filter((entry) => entry.skip_reason === null);
+        assert.deepStrictEqual(plain(matching.map((entry) => entry.inherited)), [false, true, true]);
+    });
+
+    it('doesn\'t give the owner of the parent folder owner rights on what is inside', () => {
+        assert.strictEqual(app.allow_user_action(app.q1, 'owner1', app.permissions.CHANGE_PERMS), false);
+        assert.strictEqual(app.allow_user_action(app.q1, 'user4', app.permissions.CHANGE_PERMS), true);
+    });
+
+    it('only passes ACEs down as far as their scope says', () => {
+        let folder = app.make_file('scoped', 'owner1', null, [
+            app.make_ace('user5', app.permissions.LIST, true, app.ace_scopes.THIS_FOLDER_ONLY),
+            app.make_ace('user5', app.permissions.READ_ATTR, true, app.ace_scopes.FILES_ONLY),
+        ], false, true);
+        let subfolder = app.make_file('sub', 'owner1', folder, [], true, true);
+        let file = app.make_file('file.txt', 'owner1', folder, [], true, false);
+        assert.strictEqual(app.allow_user_action(folder, 'user5', app.permissions.LIST), true);
+        assert.strictEqual(app.allow_user_action(subfolder, 'user5', app.permissions.LIST), false);
+        assert.strictEqual(app.allow_user_action(folder, 'user5', app.permissions.READ_ATTR), false);
+        assert.strictEqual(app.allow_user_action(file, 'user5', app.permissions.READ_ATTR), true);
+        assert.strictEqual(app.allow_user_action(subfolder, 'user5', app.permissions.READ_ATTR), false);
+    });
+
+    it('forgets cached answers below a folder when its ACL changes', () => {
+        assert.strictEqual(app.allow_user_action(app.q1, 'user4', app.permissions.LIST), true);
+        app.remove_permissions(app.shared, app.employees, [app.permissions.LIST], true);
+        assert.strictEqual(app.allow_user_action(app.q1, 'user4', app.permissions.LIST), false);
+    });
+
+    it('forgets the right cached answers for user names with colons in them', () => {
+        assert.strictEqual(app.allow_user_action(app.q1, 'corp:ann', app.permissions.LIST), false);
+        app.add_permissons(app.shared, 'corp:ann', [app.permissions.LIST], true);
+        assert.strictEqual(app.allow_user_action(app.q1, 'corp:ann', app.permissions.LIST), true);
+    });
+});
+
+describe('owner rights and special principals', () => {
+    let app;
+    beforeEach(() => {
+        app = load_app(make_files);
+    });
+
+    it('applies an inherited CREATOR_OWNER entry to the owner of the inheriting file only', () => {
+        let folder = app.make_file('uploads', 'owner1', null, [
+            app.make_ace(app.special_principals.CREATOR_OWNER, app.permissions.WRITE_DATA, true),
+        ], false, true);
+        let file = app.make_file('upload.txt', 'user7', folder, [], true, false);
+        assert.strictEqual(app.allow_user_action(file, 'user7', app.permissions.WRITE_DATA), true);
+        assert.strictEqual(app.allow_user_action(folder, 'owner1', app.permissions.WRITE_DATA), false);
+    });
+
+    it('replaces the implicit owner rights with an OWNER_RIGHTS entry', () => {
+        let file = app.make_file('locked.txt', 'user7', null, [
+            app.make_ace(app.special_principals.OWNER_RIGHTS, app.permissions.READ_PERMS, true),
+        ], false, false);
+        assert.strictEqual(app.allow_user_action(file, 'user7', app.permissions.CHANGE_PERMS), false);
+        assert.match(app.allow_user_action(file, 'user7', app.permissions.READ_PERMS, true).text_explanation, /OWNER_RIGHTS/);
+    });
+
+    it('takes away the implicit owner rights when the policy turns them off', () => {
+        app.set_owner_rights_policy({ owner: false });
+        assert.strictEqual(app.allow_user_action(app.q1, 'user4', app.permissions.TAKE_OWNERSHIP), false);
+        app.set_owner_rights_policy();
+        assert.strictEqual(app.allow_user_action(app.q1, 'user4', app.permissions.TAKE_OWNERSHIP), true);
+    });
+});
+
+describe('change events', () => {
+    it('records removing an ACE', () => {
+        let app = load_app(make_files);
+        app.remove_aces(app.reports, (ace) => ace.who === 'user4');
+        assert.strictEqual(app.pending_change_events.length, 1);
+        assert.strictEqual(app.pending_change_events[0].type, app.change_event_types.ACE_REMOVED);
+        assert.strictEqual(app.pending_change_events[0].before.permission, app.permissions.APPEND_DATA);
+    });
+});
+
+describe('serialization', () => {
+    it('rebuilds the same permissions from a serialized world', () => {
+        let app = load_app(make_files);
+        let world = app.deserialize_world(JSON.parse(JSON.stringify(app.serialize_world(app.files))));
+        let q1 = world.files.find((file) => file.filename === 'q1.txt');
+        assert.strictEqual(app.get_full_path(q1), '/shared/reports/q1.txt');
+        assert.strictEqual(app.allow_user_action(q1, 'intern1', app.permissions.LIST), true);
+        assert.strictEqual(app.allow_user_action(q1, 'intern1', app.permissions.WRITE_DATA), false);
+    });
+
+    it('keeps the principal directory, including users without any permissions', () => {
+        let app = load_app(make_files);
+        app.principal_directory = {
+            newbie: app.make_directory_entry('newbie', 'New Hire', 'Started this week'),
+            interns: app.make_directory_entry(app.interns, 'Interns'),
+        };
+        let world = app.deserialize_world(JSON.parse(JSON.stringify(app.serialize_world(app.files))));
+        assert.strictEqual(world.directory.newbie.principal, 'newbie');
+        assert.strictEqual(world.directory.newbie.description, 'Started this week');
+        assert.strictEqual(world.directory.interns.principal, world.groups.interns);
+        app.principal_directory = world.directory;
+        assert.strictEqual(app.get_display_name('newbie'), 'New Hire');
+        assert.strictEqual(app.get_display_name('user4'), 'user4');
+    });
+
+    it('leaves the admin group alone, so groups nested in it keep following edits', () => {
+        let app = load_app((app) => {
+            app.admin_group.users.push(app.make_group('operators', ['operator1']));
+            return make_files(app);
+        }); // (controller.js deserializes a copy of the files as it loads)
+        let operators = app.admin_group.users[1];
+        let world = app.deserialize_world(JSON.parse(JSON.stringify(app.serialize_world(app.files))));
+        assert.notStrictEqual(world.admin_group, app.admin_group);
+        assert.strictEqual(world.admin_group.users[1].name, 'operators');
+        assert.strictEqual(app.admin_group.users[1], operators);
+
+        operators.users.push('operator2');
+        assert.strictEqual(app.is_group_member('operator2', app.admin_group), true);
+        assert.strictEqual(app.allow_user_action(app.shared, 'operator2', app.permissions.CHANGE_PERMS), true);
+        assert.strictEqual(app.is_group_member('operator2', world.admin_group), false);
+    });
+
+    it('rejects unknown permissions', () => {
+        let app = load_app(make_files);
+        let data = app.serialize_world(app.files);
+        data.files[0].acl[0].permission = 'fly';
+        assert.throws(() => app.deserialize_world(data), /fly/);
+    });
+});
@@ -0,0 +1,73 @@
+// Checks that every scenario in scenarios/scenarios.json loads, and can be solved (see tools/solve_scenarios.js),
+// that generated scenarios (see scenario_generator.js) can be solved too, and that loading the definitions reports what goes wrong. Run with: npm test
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { load_app, load_scenario, load_script, read_scenario_definitions, plain } = require('../tools/load_app');
+const { solve_scenario } = require('../tools/solve_scenarios');
+
+describe('scenarios', () => {
+    for (let definition of read_scenario_definitions()) {
+        it(`${definition.tag} starts out unsolved`, () => {
+            let app = load_scenario(definition);
+            assert.ok(app.evaluate_expected_outcome().score < 1);
+        });
+
+        it(`${definition.tag} can be solved`, () => {
+            let result = solve_scenario(definition, 2, 50000);
+            assert.ok(result.solved, `no solution within 2 steps (${result.states} states searched)`);
+        });
+    }
+});
+
+describe('load_scenario_definitions', () => {
+    // load scenario_loader.js with a stand-in for the browser's XMLHttpRequest, which answers with the given status and text
+    let load_with_response = function (status, text) {
+        let app = load_app();
+        app.XMLHttpRequest = class {
+            open() {}
+            send() {
+                this.status = status;
+                this.statusText = status === 404 ? 'Not Found' : '';
+                this.responseText = text;
+            }
+        };
+        return app;
+    };
+
+    it('reads the definitions', () => {
+        let app = load_with_response(200, '[{"tag": "a"}]');
+        assert.deepStrictEqual(plain(app.load_scenario_definitions()), [{ tag: 'a' }]);
+    });
+
+    it('reports a file which isn\'t there', () => {
+        let app = load_with_response(404, 'Not Found');
+        assert.throws(() => app.load_scenario_definitions(), /Could not load .*scenarios\.json: 404 Not Found/);
+    });
+
+    it('reports a file which isn\'t JSON', () => {
+        let app = load_with_response(200, '[{"tag": ');
+        assert.throws(() => app.load_scenario_definitions(), /scenarios\.json is not valid JSON/);
+    });
+});
+
+describe('generated scenarios', () => {
+    let generator = load_app();
+    load_script(generator, 'scenario_generator.js');
+    let options = { depth: 1, folders_per_folder: 2, files_per_folder: 2, users: 4, groups: 2, group_size: 2, nested_groups: 1, deny_aces: 3, broken_inheritance: 2 };
+
+    for (let seed of [1, 2, 3, 4, 5]) {
+        it(`seed ${seed} can be solved`, () => {
+            let definition = plain(generator.generate_scenario_definition(Object.assign({ seed: seed }, options)));
+            // (a generated scenario asks for nothing to change, so ask for user1's read access to a file to flip)
+            let path = '/C/folder1/file1.txt';
+            let app = load_scenario(definition);
+            let allowed = app.allow_user_action(app.path_to_file[path], 'user1', app.permissions.LIST);
+            definition.expected_outcome.unshift({ description: 'Flip read access', who: ['user1'], files: [path], permissions: 'read', allowed: !allowed });
+            assert.ok(load_scenario(definition).evaluate_expected_outcome().score < 1);
+
+            let result = solve_scenario(definition, 2, 20000);
+            assert.ok(result.solved, `no solution within 2 steps (${result.states} states searched)`);
+        });
+    }
+});
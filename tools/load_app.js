@@ -0,0 +1,55 @@
+// Loads model.js and controller.js under Node, for the unit tests and the other tools.
+// In the page, these are plain scripts which share everything through globals; here, each call to load_app runs them
+// in a fresh sandbox (a vm context), whose globals are the properties of the returned object.
+// Objects made inside the sandbox have the sandbox's own Object/Array prototypes, so compare them through plain() in deepStrictEqual.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+
+function load_script(app, filename) {
+    vm.runInContext(fs.readFileSync(path.join(root, filename), 'utf8'), app, { filename: filename });
+}
+
+// make_files(app) is called once model.js is loaded, and returns the list of files which controller.js should display
+// (what scenario_loader.js does in the page).
+function load_app(make_files = () => []) {
+    const app = vm.createContext({
+        console: { log() {}, warn() {}, error() {} }, // controller.js reports what it does on the console
+        EventTarget: EventTarget,
+        CustomEvent: CustomEvent,
+        performance: performance,
+    });
+    load_script(app, 'core/entry_model.js');
+    load_script(app, 'model.js');
+    load_script(app, 'scenario_loader.js'); // (only defines functions outside of the page)
+    app.files = make_files(app);
+    load_script(app, 'controller.js');
+    return app;
+}
+
+// load the given scenario definition (see scenarios/scenarios.json), as index.html?tag=... does.
+function load_scenario(definition) {
+    return load_app((app) => {
+        let world = app.deserialize_world(app.scenario_to_world(definition));
+        app.admin_group = world.admin_group;
+        app.owner_rights_policy = world.owner_rights_policy;
+        app.principal_directory = world.directory;
+        app.current_scenario = definition;
+        return world.files;
+    });
+}
+
+// get all the scenario definitions in scenarios/scenarios.json
+function read_scenario_definitions() {
+    return JSON.parse(fs.readFileSync(path.join(root, 'scenarios', 'scenarios.json'), 'utf8'));
+}
+
+// copy a value made inside the sandbox into a plain value of this realm
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { load_app, load_scenario, read_scenario_definitions, load_script, plain };
@@ -0,0 +1,185 @@
+// Searches for the shortest sequence of permission edits which solves each scenario in scenarios/scenarios.json,
+// i.e. which gets full marks from evaluate_expected_outcome. This shows whether every task can be solved at all,
+// and how many steps in the interface it takes (for calibrating the difficulty of each scenario).
+//
+// Usage: node tools/solve_scenarios.js [--max-steps=3] [--max-states=200000] [tag ...]
+// (or npm run solve -- ...). Without tags, all scenarios are solved. Exits with an error if any scenario has no solution within the limits.
+
+const { load_scenario, read_scenario_definitions } = require('./load_app');
+
+// get the edits a user could make in a single step (as in the permissions dialogs), limited to the ones which could matter:
+// edits of the files the expected outcome is about (and the folders above them), for the users it is about and the groups they are in.
+// Each step is a function which makes the edit through the controller.
+function get_candidate_steps(app) {
+    let rules = app.current_scenario.expected_outcome.filter((rule) => !rule.unchanged);
+
+    let paths = [];
+    let user_names = [];
+    let rule_permissions = [];
+    for (let rule of rules) {
+        for (let path of app.get_rule_files(rule)) {
+            for (let file_obj = app.path_to_file[path]; file_obj !== null; file_obj = file_obj.parent) {
+                paths.push(app.get_full_path(file_obj));
+            }
+        }
+        user_names = user_names.concat(app.get_rule_users(rule));
+        rule_permissions = rule_permissions.concat(app.get_scenario_permissions(app.current_scenario, rule.permissions));
+    }
+    paths = [...new Set(paths)].filter((path) => path in app.path_to_file);
+    user_names = [...new Set(user_names)];
+    rule_permissions = [...new Set(rule_permissions)];
+
+    // only users and groups which can be picked in the interface:
+    let principal_names = user_names.filter((name) => name in app.all_users);
+    for (let name in app.all_users) {
+        let user_or_group = app.all_users[name];
+        if (!app.is_user(user_or_group) && user_names.some((user) => app.is_group_member(user, user_or_group))) {
+            principal_names.push(name);
+        }
+    }
+
+    let steps = [];
+    for (let path of paths) {
+        let file_obj = app.path_to_file[path];
+        for (let name of principal_names) {
+            for (let type of ['allow', 'deny']) {
+                for (let is_on of [true, false]) {
+                    for (let group in app.permission_groups) {
+                        steps.push(() => app.toggle_permission_group(path, name, group, type, is_on));
+                    }
+                    for (let permission of rule_permissions) {
+                        steps.push(() => app.toggle_permission(path, name, permission, type, is_on));
+                    }
+                }
+            }
+            steps.push(() => app.remove_user_from_file(path, name));
+            if (app.is_user(app.all_users[name])) {
+                steps.push(() => app.change_owner(file_obj, app.all_users[name]));
+            }
+        }
+        if (file_obj.parent !== null) {
+            steps.push(() => app.convert_parent_permissions(file_obj)); // turn inheritance off, keeping the inherited permissions
+            steps.push(() => app.set_inheritance(file_obj, false)); // turn inheritance off, removing them
+            steps.push(() => app.set_inheritance(file_obj, true));
+        }
+        if (path in app.parent_to_children) {
+            steps.push(() => app.replace_child_perm_with_inherited(file_obj));
+        }
+    }
+    return steps;
+}
+
+// a string which is the same for any two states in which every file has the same owner, inheritance setting and ACEs (in any order)
+function get_state_key(app) {
+    return Object.keys(app.path_to_file).sort().map((path) => {
+        let file_obj = app.path_to_file[path];
+        let aces = file_obj.acl.map((ace) => JSON.stringify(app.serialize_ace(ace))).sort();
+        return [path, app.get_user_name(file_obj.owner), file_obj.using_permission_inheritance].concat(aces).join('|');
+    }).join('\n');
+}
+
+/*
+Breadth-first search over sequences of steps (see get_candidate_steps), skipping states which were already reached in fewer steps.
+Returns {solved, steps, solution, states}: solution lists the labels of the edits (as shown in the undo history),
+and states is how many different states were looked at.
+*/
+function solve_scenario(definition, max_steps, max_states) {
+    let app = load_scenario(definition);
+    app.suppress_emit_state = true; // nobody is listening, and logging every state would be slow
+    let steps = get_candidate_steps(app);
+    let initial_states = app.capture_file_states(app.files);
+
+    // go back to the initial state and make the given steps
+    let replay = function (path) {
+        app.restore_file_states(initial_states);
+        app.undo_stack = [];
+        app.redo_stack = [];
+        for (let step_index of path) {
+            steps[step_index]();
+        }
+    };
+    let is_solved = () => app.evaluate_expected_outcome().score === 1;
+
+    let seen = new Set([get_state_key(app)]);
+    if (is_solved()) {
+        return { solved: true, steps: 0, solution: [], states: seen.size };
+    }
+    let frontier = [[]];
+    for (let depth = 1; depth <= max_steps && frontier.length > 0; depth++) {
+        let next_frontier = [];
+        for (let path of frontier) {
+            replay(path);
+            for (let i = 0; i < steps.length; i++) {
+                let undo_depth = app.undo_stack.length;
+                steps[i]();
+                if (app.undo_stack.length === undo_depth) continue; // (nothing to do)
+
+                let key = get_state_key(app);
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    if (is_solved()) {
+                        return {
+                            solved: true,
+                            steps: depth,
+                            solution: app.undo_stack.map((command) => command.label),
+                            states: seen.size,
+                        };
+                    }
+                    next_frontier.push(path.concat([i]));
+                }
+                app.undo();
+                if (seen.size >= max_states) {
+                    return { solved: false, steps: null, solution: null, states: seen.size };
+                }
+            }
+        }
+        frontier = next_frontier;
+    }
+    return { solved: false, steps: null, solution: null, states: seen.size };
+}
+
+function main(args) {
+    let options = { 'max-steps': 3, 'max-states': 200000 };
+    let tags = [];
+    for (let arg of args) {
+        let match = arg.match(/^--([a-z-]+)=(\d+)$/);
+        if (match !== null && match[1] in options) {
+            options[match[1]] = parseInt(match[2], 10);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            tags.push(arg);
+        }
+    }
+
+    let definitions = read_scenario_definitions();
+    for (let tag of tags) {
+        if (!definitions.some((definition) => definition.tag === tag)) {
+            throw new Error(`Unknown scenario: ${tag}`);
+        }
+    }
+    if (tags.length > 0) {
+        definitions = definitions.filter((definition) => tags.includes(definition.tag));
+    }
+
+    let all_solved = true;
+    for (let definition of definitions) {
+        let result = solve_scenario(definition, options['max-steps'], options['max-states']);
+        if (result.solved) {
+            console.log(`${definition.tag} (${definition.difficulty}): solved in ${result.steps} step(s), ${result.states} states searched`);
+            for (let label of result.solution) {
+                console.log(`    ${label}`);
+            }
+        } else {
+            all_solved = false;
+            console.log(`${definition.tag} (${definition.difficulty}): NO SOLUTION within ${options['max-steps']} step(s), ${result.states} states searched`);
+        }
+    }
+    return all_solved;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2)) ? 0 : 1;
+}
+
+module.exports = { get_candidate_steps, solve_scenario };
@@ -1,5 +1,246 @@
 // ---- Define your dialogs  and panels here ----
 
+// -- Batch edit dialog: set or clear a permission group for several users on all the files checked in the file structure --
+
+batch_user_list = define_multi_select_list('batchdialog_user_list')
+batch_user_list.css({'height':'120px'})
+// (filled in each time the dialog opens, since groups may have been created or deleted)
+function fill_batch_user_list() {
+    batch_user_list.empty()
+    for(let uname in all_users) {
+        // groups are edited as a whole here, so no member rows:
+        batch_user_list.append(make_user_elem('batchdialog_user', uname))
+    }
+}
+
+batch_group_select = $(`<select id="batchdialog_group_select"></select>`)
+for(let g of perm_groupnames) {
+    if(g in permission_groups) { // ('Special_permissions' isn't a real group)
+        batch_group_select.append(`<option value="${g}" id="batchdialog_group_${g}">${g.replace(/_/g, ' ')}</option>`)
+    }
+}
+
+batch_dialog = define_new_dialog('batchdialog', 'Batch Edit Permissions', {
+    width: 450,
+    buttons: {
+        Apply: {
+            text: "Apply",
+            id: "batchdialog_apply_button",
+            click: function() {
+                let filepaths = get_batch_selected_files()
+                let usernames = batch_user_list.get_selected()
+                if(filepaths.length === 0 || usernames.length === 0) {
+                    batch_summary.text('Select at least one file and one user or group.')
+                    return
+                }
+                let type = $('input[name="batchdialog_type"]:checked').val()
+                let is_on = $('input[name="batchdialog_action"]:checked').val() === 'set'
+                let changes = toggle_permission_group_batch(filepaths, usernames, batch_group_select.val(), type, is_on)
+                show_batch_summary(changes)
+                $(document).trigger('permissionsChanged')
+            }
+        },
+        Close: {
+            text: "Close",
+            id: "batchdialog_close_button",
+            click: function() {
+                $( this ).dialog( "close" );
+            }
+        }
+    },
+    open: function() {
+        let file_list = $('#batchdialog_file_list').empty()
+        for(let filepath of get_batch_selected_files()) {
+            file_list.append($('<li></li>').text(filepath))
+        }
+        batch_summary.empty()
+        fill_batch_user_list()
+    }
+})
+
+batch_summary = $(`<div id="batchdialog_summary" style="max-height:150px;overflow-y:auto;"></div>`)
+
+batch_dialog.append(`<div id="batchdialog_files_title">Files:</div><ul id="batchdialog_file_list"></ul>`)
+batch_dialog.append(`<div id="batchdialog_users_title">Users and groups (Ctrl+click to select several):</div>`)
+batch_dialog.append(batch_user_list)
+batch_dialog.append($(`<div id="batchdialog_options" style="margin:8px 0;"></div>`).append(
+    `<label id="batchdialog_set_label"><input type="radio" name="batchdialog_action" value="set" id="batchdialog_set" checked/> Set</label>
+    <label id="batchdialog_clear_label"><input type="radio" name="batchdialog_action" value="clear" id="batchdialog_clear"/> Clear</label> `,
+    batch_group_select,
+    ` <label id="batchdialog_allow_label"><input type="radio" name="batchdialog_type" value="allow" id="batchdialog_allow" checked/> Allow</label>
+    <label id="batchdialog_deny_label"><input type="radio" name="batchdialog_type" value="deny" id="batchdialog_deny"/> Deny</label>`
+))
+batch_dialog.append(batch_summary)
+
+// -- Users and Groups dialog: create and delete groups, and add or remove their members --
+
+groups_dialog_group_list = define_single_select_list('groupsdialog_group_list', function(groupname) {
+    update_group_members()
+})
+groups_dialog_group_list.css({'height':'150px'})
+
+groups_dialog_member_list = define_single_select_list('groupsdialog_member_list')
+groups_dialog_member_list.css({'height':'150px'})
+
+groups_dialog_new_member_select = $(`<select id="groupsdialog_new_member_select"></select>`)
+groups_dialog_status = $(`<div id="groupsdialog_status" class="section"></div>`)
+
+groups_dialog = define_new_dialog('groupsdialog', 'Users and Groups', {
+    width: 550,
+    buttons: {
+        Close: {
+            text: "Close",
+            id: "groupsdialog_close_button",
+            click: function() {
+                $( this ).dialog( "close" );
+            }
+        }
+    },
+    open: function() {
+        groups_dialog_status.empty()
+        update_groups_dialog()
+    }
+})
+
+groups_dialog.append(
+    $(`<div id="groupsdialog_create_line" class="section"></div>`).append(
+        `<input type="text" id="groupsdialog_new_group_name" placeholder="New group name"/>
+        <button class="ui-button ui-widget ui-corner-all" id="groupsdialog_create_button">Create group</button>`),
+    $(`<table id="groupsdialog_table" style="width:100%"></table>`).append(
+        $(`<tr id="groupsdialog_titles"><td id="groupsdialog_groups_title">Groups:</td><td id="groupsdialog_members_title">Members:</td></tr>`),
+        $(`<tr id="groupsdialog_lists"></tr>`).append(
+            $(`<td id="groupsdialog_group_cell" style="width:50%;vertical-align:top"></td>`).append(groups_dialog_group_list),
+            $(`<td id="groupsdialog_member_cell" style="width:50%;vertical-align:top"></td>`).append(groups_dialog_member_list)),
+        $(`<tr id="groupsdialog_actions"></tr>`).append(
+            `<td id="groupsdialog_group_actions">
+                <button class="ui-button ui-widget ui-corner-all" id="groupsdialog_delete_button">Delete group</button>
+            </td>`,
+            $(`<td id="groupsdialog_member_actions"></td>`).append(
+                groups_dialog_new_member_select,
+                ` <button class="ui-button ui-widget ui-corner-all" id="groupsdialog_add_member_button">Add</button>
+                <button class="ui-button ui-widget ui-corner-all" id="groupsdialog_remove_member_button">Remove</button>`))),
+    groups_dialog_status
+)
+
+// rebuild the list of groups, keeping the selected group selected (if it still exists)
+function update_groups_dialog() {
+    let selected_group = groups_dialog_group_list.attr('selected_item')
+    groups_dialog_group_list.empty()
+    groups_dialog_group_list.removeAttr('selected_item')
+    for(let uname in all_users) {
+        if(!is_user(all_users[uname])) {
+            // (member rows are shown in the members list instead)
+            groups_dialog_group_list.append(make_user_elem('groupsdialog_group', uname))
+        }
+    }
+    if(selected_group in all_users && !is_user(all_users[selected_group])) {
+        groups_dialog_group_list.find(`[name="${selected_group}"]`).addClass('ui-selected')
+        groups_dialog_group_list.attr('selected_item', selected_group)
+    }
+    update_group_members()
+}
+
+// show the direct members of the selected group, and the users and groups which could be added to it
+function update_group_members() {
+    let groupname = groups_dialog_group_list.attr('selected_item')
+    groups_dialog_member_list.empty()
+    groups_dialog_member_list.removeAttr('selected_item')
+    groups_dialog_new_member_select.empty()
+    let group = all_users[groupname]
+    if(group === undefined) {
+        return
+    }
+    for(let member of group.users) {
+        groups_dialog_member_list.append(make_user_elem('groupsdialog_member', get_user_name(member)))
+    }
+    for(let uname in all_users) {
+        let user_or_group = all_users[uname]
+        if(user_or_group !== group && !is_special_principal(user_or_group) && !group.users.includes(user_or_group)) {
+            groups_dialog_new_member_select.append($(`<option id="groupsdialog_new_member_${uname}"></option>`).attr('value', uname).text(get_display_name(uname)))
+        }
+    }
+}
+
+// show the outcome of a group edit, and update everything which displays permissions
+function show_group_edit_result(succeeded, failure_text) {
+    groups_dialog_status.text(succeeded ? '' : failure_text)
+    if(succeeded) {
+        update_groups_dialog()
+        $(document).trigger('permissionsChanged')
+    }
+}
+
+$('#groupsdialog_create_button').click(function() {
+    let groupname = $('#groupsdialog_new_group_name').val().trim()
+    let succeeded = create_group(groupname)
+    if(succeeded) {
+        $('#groupsdialog_new_group_name').val('')
+        groups_dialog_group_list.attr('selected_item', groupname)
+    }
+    show_group_edit_result(succeeded, `Could not create group "${groupname}": the name must be new, and only use letters, digits, '_', '-' and '.'.`)
+})
+
+$('#groupsdialog_delete_button').click(function() {
+    let groupname = groups_dialog_group_list.attr('selected_item')
+    if(groupname === undefined) {
+        groups_dialog_status.text('Select a group to delete.')
+        return
+    }
+    show_group_edit_result(delete_group(groupname), `Could not delete group "${groupname}": the admin group and groups which own files can't be deleted.`)
+})
+
+$('#groupsdialog_add_member_button').click(function() {
+    let groupname = groups_dialog_group_list.attr('selected_item')
+    let member_name = groups_dialog_new_member_select.val()
+    if(groupname === undefined || member_name === null) {
+        groups_dialog_status.text('Select a group, and a user or group to add to it.')
+        return
+    }
+    show_group_edit_result(add_group_member(groupname, member_name), `Could not add ${member_name} to ${groupname}: a group can't contain itself.`)
+})
+
+$('#groupsdialog_remove_member_button').click(function() {
+    let groupname = groups_dialog_group_list.attr('selected_item')
+    let member_name = groups_dialog_member_list.attr('selected_item')
+    if(groupname === undefined || member_name === undefined) {
+        groups_dialog_status.text('Select a group and one of its members to remove.')
+        return
+    }
+    show_group_edit_result(remove_group_member(groupname, member_name), `Could not remove ${member_name} from ${groupname}.`)
+})
+
+// -- Permission matrix for the file chosen with its matrix button, in the side panel --
+
+matrix_title = $(`<h3 id="matrix_title">Permission matrix</h3>`)
+permission_matrix = define_permission_matrix('file_permission_matrix')
+$('#sidepanel').append(matrix_title, permission_matrix)
+
+// paths of the files which are checked in the file structure
+function get_batch_selected_files() {
+    return $('.batch_file_checkbox:checked').map(function() { return $(this).attr('path') }).get()
+}
+
+// list what a batch edit changed (see get_file_changes)
+function show_batch_summary(changes) {
+    batch_summary.empty()
+    if(changes === false) {
+        batch_summary.text('Could not apply the change: some of the selected files or users no longer exist.')
+        return
+    }
+    if(changes.length === 0) {
+        batch_summary.text('Nothing changed.')
+        return
+    }
+    let changed_files = new Set(changes.map((c) => c.file))
+    batch_summary.append($('<div id="batchdialog_summary_title"></div>').text(`${changes.length} change(s) on ${changed_files.size} file(s):`))
+    let change_symbols = { added: '+', removed: '\u2212', changed: '~' }
+    let summary_list = $('<ul id="batchdialog_summary_list"></ul>')
+    for(let c of changes) {
+        summary_list.append($('<li></li>').text(`${c.file}: ${change_symbols[c.change]} ${c.description}`))
+    }
+    batch_summary.append(summary_list)
+}
+
 
 
 // ---- Display file structure ----
@@ -11,10 +252,14 @@ function make_file_element(file_obj) {
     if(file_obj.is_folder) {
         let folder_elem = $(`<div class='folder' id="${file_hash}_div">
             <h3 id="${file_hash}_header">
+                <input type="checkbox" class="batch_file_checkbox" path="${file_hash}" id="${file_hash}_batch_checkbox"/>
                 <span class="oi oi-folder" id="${file_hash}_icon"/> ${file_obj.filename} 
                 <button class="ui-button ui-widget ui-corner-all permbutton" path="${file_hash}" id="${file_hash}_permbutton" style="width:30px;padding:4px;"> 
                     <img src="edit.png" id="${file_hash}_permicon" style="width:16px;height:16px;vertical-align:middle;"/> 
                 </button>
+                <button class="ui-button ui-widget ui-corner-all matrixbutton" path="${file_hash}" id="${file_hash}_matrixbutton" title="Show permission matrix" style="width:30px;padding:4px;"> 
+                    <span class="oi oi-grid-three-up" id="${file_hash}_matrixicon"></span> 
+                </button>
             </h3>
         </div>`)
 
@@ -31,14 +276,34 @@ function make_file_element(file_obj) {
     }
     else {
         return $(`<div class='file'  id="${file_hash}_div">
+            <input type="checkbox" class="batch_file_checkbox" path="${file_hash}" id="${file_hash}_batch_checkbox"/>
             <span class="oi oi-file" id="${file_hash}_icon"/> ${file_obj.filename}
             <button class="ui-button ui-widget ui-corner-all permbutton" path="${file_hash}" id="${file_hash}_permbutton" style="width:30px;padding:4px;"> 
                 <img src="edit.png" id="${file_hash}_permicon" style="width:16px;height:16px;vertical-align:middle;"/> 
             </button>
+            <button class="ui-button ui-widget ui-corner-all matrixbutton" path="${file_hash}" id="${file_hash}_matrixbutton" title="Show permission matrix" style="width:30px;padding:4px;"> 
+                <span class="oi oi-grid-three-up" id="${file_hash}_matrixicon"></span> 
+            </button>
         </div>`)
     }
 }
 
+// button for editing all the checked files at once:
+batch_edit_button = $(`<button class="ui-button ui-widget ui-corner-all" id="batch_edit_button" disabled>Batch edit (0 files)</button>`)
+batch_edit_button.click(function() {
+    batch_dialog.dialog('open')
+})
+$( "#filestructure" ).before(batch_edit_button)
+
+// button for the Users and Groups dialog:
+groups_button = $(`<button class="ui-button ui-widget ui-corner-all" id="groups_button">Users and Groups</button>`)
+groups_button.click(function() {
+    groups_dialog.dialog('open')
+})
+batch_edit_button.after(groups_button)
+
+render_start = performance.now()
+
 for(let root_file of root_files) {
     let file_elem = make_file_element(root_file)
     $( "#filestructure" ).append( file_elem);    
@@ -52,6 +317,9 @@ $('.folder').accordion({
     heightStyle: 'content'
 }) // TODO: start collapsed and check whether read permission exists before expanding?
 
+// how long it took to display the file structure (reported by benchmark_permissions)
+file_structure_render_ms = performance.now() - render_start
+
 
 // -- Connect File Structure lock buttons to the permission dialog --
 
@@ -70,5 +338,28 @@ $('.permbutton').click( function( e ) {
 });
 
 
+// show the permission matrix of a file when its matrix button is clicked
+$('.matrixbutton').click( function( e ) {
+    let path = e.currentTarget.getAttribute('path');
+    matrix_title.text(`Permission matrix: ${path}`)
+    permission_matrix.attr('filepath', path)
+
+    e.stopPropagation() // don't expand/collapse the folder
+    emitter.dispatchEvent(new CustomEvent('userEvent', { detail: new ClickEntry(ActionEnum.CLICK, (e.clientX + window.pageXOffset), (e.clientY + window.pageYOffset), e.target.id,new Date().getTime()) }))
+});
+
+
+// -- Connect the file checkboxes to the batch edit button --
+
+$('.batch_file_checkbox').click( function( e ) {
+    e.stopPropagation() // don't expand/collapse the folder when checking it
+}).change( function( e ) {
+    let count = get_batch_selected_files().length
+    batch_edit_button.text(`Batch edit (${count} file${count === 1 ? '' : 's'})`)
+    batch_edit_button.prop('disabled', count === 0)
+    emitter.dispatchEvent(new CustomEvent('userEvent', { detail: new ClickEntry(ActionEnum.CLICK, (e.clientX + window.pageXOffset), (e.clientY + window.pageYOffset), e.target.id,new Date().getTime()) }))
+});
+
+
 // ---- Assign unique ids to everything that doesn't have an ID ----
 $('#html-loc').find('*').uniqueId() 
\ No newline at end of file
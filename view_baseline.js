@@ -18,14 +18,40 @@ perm_dialog = define_new_dialog('permdialog', title = 'Permissions', options = {
     // Standard jQuery UI options. See https://jqueryui.com/dialog/
     height: 740,  // Increased from 650 to accommodate inheritance checkboxes
     width: 500,
+    // Edits are staged while the dialog is open (see begin_changeset in controller.js): OK and Apply keep them, Cancel or closing the dialog discards them.
+    open: function () {
+        begin_changeset();
+        update_pending_changes();
+    },
+    close: function () {
+        discard_changeset();
+        $(document).trigger('permissionsChanged');
+    },
     buttons: {
         OK: {
             text: "OK",
             id: "perm-dialog-ok-button",
             click: function () {
+                commit_changeset();
                 $(this).dialog("close");
             }
         },
+        Cancel: {
+            text: "Cancel",
+            id: "perm-dialog-cancel-button",
+            click: function () {
+                $(this).dialog("close");
+            }
+        },
+        Apply: {
+            text: "Apply",
+            id: "perm-dialog-apply-button",
+            click: function () {
+                commit_changeset();
+                begin_changeset();
+                update_pending_changes();
+            }
+        },
         Advanced: {
             // Clarify that a secondary screen opens (ellipsis)
             text: "Advanced…",
@@ -41,6 +67,28 @@ perm_dialog = define_new_dialog('permdialog', title = 'Permissions', options = {
 // If you pass in valid HTML to $(), it will *create* elements instead of selecting them. (You still have to append them, though)
 obj_name_div = $('<div id="permdialog_objname" class="section">Object Name: <span id="permdialog_objname_namespan"></span> </div>');
 
+// Make the list of edits which haven't been applied yet:
+pending_changes_div = $(`<div id="permdialog_pending_changes" class="section" style="display:none;max-height:80px;overflow-y:auto;">
+    <div id="permdialog_pending_changes_title">Pending changes (click Apply or OK to save them):</div>
+    <ul id="permdialog_pending_changes_list" style="margin:2px 0;padding-left:20px;"></ul>
+</div>`);
+
+// refresh the list of pending changes
+function update_pending_changes() {
+    let changes = get_pending_changes();
+    let list = $('#permdialog_pending_changes_list');
+    list.empty();
+    let change_symbols = { added: '+', removed: '\u2212', changed: '~' };
+    for (let i = 0; i < changes.length; i++) {
+        let change = changes[i];
+        list.append($(`<li id="permdialog_pending_change_${i}" class="pending_change_${change.change}"></li>`)
+            .text(`${change_symbols[change.change]} ${change.file}: ${change.description}`));
+    }
+    pending_changes_div.toggle(changes.length > 0);
+    // Apply only does something if there are pending changes
+    $('#perm-dialog-apply-button').button(changes.length > 0 ? 'enable' : 'disable');
+}
+
 // Make the div with the explanation about special permissions/advanced settings:
 advanced_expl_div = $('<div id="permdialog_advanced_explantion_text">For special permissions or advanced settings, click Advanced.</div>');
 
@@ -108,7 +156,7 @@ perm_add_user_select = define_new_user_select_field('perm_add_user', 'Add user
             // If it's a group, also add member elements
             let user_or_group = all_users[selected_user];
             if(!is_user(user_or_group) && user_or_group.users) {
-                for(let member_name of user_or_group.users) {
+                for(let member_name of get_group_members(user_or_group)) {
                     let member_elem = $(`<div class="ui-widget-content group-member-item ui-selectee" id="permdialog_file_user_${selected_user}_member_${member_name}" name="${member_name}" data-group-parent="permdialog_file_user_${selected_user}" data-is-member="true" style="display:none;padding-left:30px;background-color:#f9f9f9;font-size:0.9em;cursor:pointer;">
                         <span class="oi oi-person" style="font-size:0.8em;color:#666;margin-right:4px;"/> 
                         <span>${member_name}</span>
@@ -183,7 +231,7 @@ perm_add_user_select = define_new_user_select_field('perm_add_user', 'Add user
         // (Optional) notify anything listening for UI changes
         // $(document).trigger('permissionsChanged');
     }
-});
+}, multiple = true);
 
 // Only show the button part (keep spacing similar to original)
 perm_add_user_select.find('span').hide();
@@ -243,7 +291,7 @@ let are_you_sure_dialog = define_new_dialog('are_you_sure_dialog', "Are you sure
                 let filepath = perm_dialog.attr('filepath');
 
                 // Remove all the permissions:
-                remove_all_perms_for_user(path_to_file[filepath], all_users[username]);
+                remove_user_from_file(filepath, username);
 
                 // Update the UI to show that it's been removed:
                 file_permission_users.find('.ui-selected').remove();
@@ -307,8 +355,13 @@ perm_dialog.append(perm_add_user_select);
 perm_add_user_select.append(perm_remove_user_button);
 perm_dialog.append(perm_inheritance_div);
 perm_dialog.append(grouped_permissions);
+perm_dialog.append(pending_changes_div);
 perm_dialog.append(advanced_expl_div);
 
+// Keep the pending changes up to date: checkbox edits bubble up to the dialog as 'change' events, and other edits trigger 'permissionsChanged'.
+perm_dialog.on('change', 'input', update_pending_changes);
+$(document).on('permissionsChanged', update_pending_changes);
+
 // --- Additional logic for reloading contents when needed: ---
 // Define an observer which will propagate perm_dialog's filepath attribute to all the relevant elements, whenever it changes:
 define_attribute_observer(perm_dialog, 'filepath', function () {
@@ -405,8 +458,7 @@ $('#perm_inheritance').change(function () {
     
     if ($('#perm_inheritance').prop('checked')) {
         // has just been turned on
-        file_obj.using_permission_inheritance = true;
-        emitState();
+        set_inheritance(file_obj, true);
 
         // 🔔 notify icon refresher
         $(document).trigger('permissionsChanged');
@@ -455,8 +507,7 @@ $('#perm_inheritance').change(function () {
                     click: function () {
                         let filepath = perm_dialog.attr('filepath');
                         let file_obj = path_to_file[filepath];
-                        file_obj.using_permission_inheritance = false;
-                        emitState();
+                        set_inheritance(file_obj, false);
 
                         // 🔔 notify icon refresher
                         $(document).trigger('permissionsChanged');
@@ -541,42 +592,6 @@ $('#perm_replace_child_permissions').change(function () {
 // Old code which doesn't use the helper functions starts here
 // ------------------------------
 
-// Make (semi-generic) selectable list of elements for all users.
-// attr_set_id is the id of the element where we should store the currently selected username.
-function make_all_users_list(id_prefix, attr_set_id, height = 80) {
-    let all_user_list = $(`<div id="${id_prefix}_all_users" class="selectlist section" style="height:${height}px;overflow-y:scroll"></div>`);
-    for (let username in all_users) {
-        let user = all_users[username];
-        all_user_list.append(
-            `<div class="ui-widget-content" id="${id_prefix}_${username}" username="${username}">
-                <span id="${id_prefix}_${username}_icon" class="oi ${is_user(user) ? 'oi-person' : 'oi-people'}"></span> 
-                ${username}
-            </div>`);
-    }
-
-    all_user_list.selectable({
-        selected: function (e, ui) {
-            // Unselect any previously selected (normally, selectable allows multiple selections)
-            $(ui.selected).addClass("ui-selected").siblings().removeClass("ui-selected");
-
-            $(`#${attr_set_id}`).attr('username', ui.selected.getAttribute('username'));
-
-            emitter.dispatchEvent(new CustomEvent('userEvent', {
-                detail: new ClickEntry(
-                    ActionEnum.CLICK,
-                    (e.clientX + window.pageXOffset),
-                    (e.clientY + window.pageYOffset),
-                    'user dialog: select user ' + ui.selected.getAttribute('username'),
-                    new Date().getTime()
-                )
-            }));
-        }
-    });
-
-    return all_user_list;
-}
-
-
 // populate and open the "advanced" dialog for a given file
 function open_advanced_dialog(file_path) {
     let file_obj = path_to_file[file_path];
@@ -589,7 +604,6 @@ function open_advanced_dialog(file_path) {
 
     // clear dynamic content:
     $('#adv_perm_table tr:gt(0)').remove();
-    $('#adv_owner_user_list').empty();
     $('.effectivecheckcell').empty();
 
     if (file_obj.using_permission_inheritance) {
@@ -610,18 +624,20 @@ function open_advanced_dialog(file_path) {
                     <td id="adv_perm_${file_obj.filename}__${u}_${ace_type}_${perm}_name">${u}</td>
                     <td id="adv_perm_${file_obj.filename}__${u}_${ace_type}_${perm}_permission">${perm}</td>
                     <td id="adv_perm_${file_obj.filename}__${u}_${ace_type}_${perm}_type">${grouped_perms[ace_type][perm].inherited ? "Parent Object" : "(not inherited)"}</td>
+                    <td id="adv_perm_${file_obj.filename}__${u}_${ace_type}_${perm}_applies_to">${grouped_perms[ace_type][perm].applies_to.join('; ')}</td>
                 </tr>`);
             }
         }
     }
 
-    // user list for owner tab:
-    let all_user_list = make_all_users_list('adv_owner_', 'adv_owner_current_owner');
+    // user list for owner tab (items have the ids adv_owner__<name>):
+    let owner_list = define_single_select_list('adv_owner__all_users');
+    owner_list.addClass('selectlist section').css({ height: '80px' });
+    owner_list.append(make_user_list('adv_owner_', all_users));
+    $('#adv_owner_user_list').empty().append(owner_list);
 
     $('#adv_owner_current_owner').text(get_user_name(file_obj.owner));
 
-    $('#adv_owner_user_list').append(all_user_list);
-
     // open dialog:
     $('#advdialog').dialog('open');
 }
@@ -638,40 +654,38 @@ function update_effective_user() {
         let filepath = $('#advdialog').attr('filepath');
         let file = path_to_file[filepath];
 
+        // (for the info icons, see the explanation panel)
+        $('#adv_effective_effective_list').attr('filepath', filepath).attr('username', selected_username);
+
         // for each possible permission value
         for (let p of Object.values(permissions)) {
-            // if the actual model would allow an action with permission
-            if (allow_user_action(file, selected_user, p)) {
-                // find the checkbox cell and put a checkbox there.
-                $(document.getElementById(`adv_effective_checkcell_${p}`)).append(`<span id="adv_effective_checkbox_${p}" class="oi oi-check"></span>`);
+            // if the actual model would allow an action with permission (for a group: for all or some of its members)
+            let effective_icon = make_effective_permission_icon(`adv_effective_checkbox_${p}`, file, selected_user, p);
+            if (effective_icon) {
+                // find the checkbox cell and put the icon there.
+                $(document.getElementById(`adv_effective_checkcell_${p}`)).append(effective_icon);
             }
         }
     }
 }
 
-// TODO: redo everything to use the new user_select_dialog
-function open_user_select(to_populate) {
-    $('#user_select_dialog').attr('to_populate', to_populate);
-
-    $('#user_select_container').empty();
-    user_select_list = make_all_users_list('user_select', 'user_select_dialog', 200);
-    $('#user_select_container').append(user_select_list);
-
-    $('#user_select_dialog').dialog('open');
-}
-
 // set up effective permissions table in advanced -> effective dialog
 for (let p of Object.values(permissions)) {
     let row = $(`
     <tr id="adv_effective_row_${p}">
         <td id="adv_effective_checkcell_${p}" class="effectivecheckcell"></td>
         <td id="adv_effective_name_${p}">${p}</td>
+        <td id="adv_effective_info_cell_${p}" width="32px" style="text-align:right">
+            <span id="adv_effective_info_icon_${p}" class="fa fa-info-circle perm_info" permission_name="${p}" setting_container_id="adv_effective_effective_list"/>
+        </td>
     </tr>
     `);
     $('#adv_effective_effective_list').append(row);
 }
 
 // Advanced dialog
+advanced_changeset = null; // the changeset opened along with the dialog
+
 $("#advtabs").tabs({
     heightStyle: 'fill'
 });
@@ -682,10 +696,31 @@ let adv_contents = $('#advdialog').dialog({
     modal: true,
     autoOpen: false,
     appendTo: "#html-loc",
+    // Edits made here are staged inside the Permissions dialog's changeset (see begin_changeset in controller.js):
+    // OK leaves them staged there, Cancel or closing the dialog undoes just these.
+    open: function () {
+        advanced_changeset = begin_changeset();
+    },
+    close: function () {
+        if (pending_changeset === advanced_changeset) {
+            discard_changeset();
+            refresh_permission_views();
+        }
+        advanced_changeset = null;
+    },
     buttons: {
         OK: {
             text: "OK",
             id: "advanced-dialog-ok-button",
+            click: function () {
+                commit_changeset();
+                $(this).dialog("close");
+                $(document).trigger('permissionsChanged');
+            }
+        },
+        Cancel: {
+            text: "Cancel",
+            id: "advanced-dialog-cancel-button",
             click: function () {
                 $(this).dialog("close");
             }
@@ -695,7 +730,12 @@ let adv_contents = $('#advdialog').dialog({
 
 // open user select dialog on "select" button press:
 $("#adv_effective_user_select").click(function (event) {
-    open_user_select("adv_effective_current_user"); // Update element with id=adv_effective_current_user once user is selected.
+    advanced_user_picker.pick().then(function (usernames) {
+        if (usernames !== null && usernames.length > 0) {
+            // (update_effective_user runs when selected_user changes)
+            $('#adv_effective_current_user').text(usernames[0]).attr('selected_user', usernames[0]);
+        }
+    });
 });
 
 // listen for changes to inheritance checkbox in advanced dialog:
@@ -704,8 +744,7 @@ $('#adv_perm_inheritance').change(function () {
     let file_obj = path_to_file[filepath];
     if ($('#adv_perm_inheritance').prop('checked')) {
         // has just been turned on
-        file_obj.using_permission_inheritance = true;
-        emitState();
+        set_inheritance(file_obj, true);
 
         // 🔔 notify icon refresher
         $(document).trigger('permissionsChanged');
@@ -754,8 +793,7 @@ $('#adv_perm_inheritance').change(function () {
                     click: function () {
                         let filepath = $('#advdialog').attr('filepath');
                         let file_obj = path_to_file[filepath];
-                        file_obj.using_permission_inheritance = false;
-                        emitState();
+                        set_inheritance(file_obj, false);
 
                         // 🔔 notify icon refresher
                         $(document).trigger('permissionsChanged');
@@ -847,54 +885,97 @@ effective_user_observer = new MutationObserver(function (mutationsList, observer
 
 effective_user_observer.observe(document.getElementById('adv_effective_current_user'), { attributes: true });
 
-// change owner button:
+// change owner button: make the user selected in the owner tab's list the owner
 $('#adv_owner_change_button').click(function () {
-    let selected_username = $('#adv_owner_current_owner').attr('username');
+    let selected_username = $('#adv_owner__all_users').attr('selected_item');
     let filepath = $('#advdialog').attr('filepath');
     let file_obj = path_to_file[filepath];
     if (selected_username && (selected_username.length > 0) && (selected_username in all_users)) {
-        file_obj.owner = all_users[selected_username];
+        change_owner(file_obj, all_users[selected_username]); // also logs new state
         $('#adv_owner_current_owner').text(selected_username);
-        emitState(); // Log new state
 
         // 🔔 notify icon refresher (owner change can affect editability)
         $(document).trigger('permissionsChanged');
     }
 });
 
+// ------------------------------
+// "Why?" explanation panel
+// ------------------------------
+
+// opens from the info icons next to effective permissions; its link opens the permissions dialog on the file and principal of the deciding ACE.
+explanation_panel = define_explanation_panel('explanation_panel', function (filepath, username) {
+    $('#advdialog').dialog('close');
+    perm_dialog.attr('filepath', filepath);
+    perm_dialog.dialog('open');
+    if (username in all_users) {
+        // select the user once the dialog has reloaded its user list for the new file:
+        setTimeout(function () {
+            $('#perm_add_user_field').attr('selected_user', username);
+        }, 0);
+    }
+});
+
+// info icons (class perm_info) name the permission, and the element which holds the file path and user name in its attributes:
+$(document).on('click', '.perm_info', function (e) {
+    let settings = $('#' + $(this).attr('setting_container_id'));
+    explanation_panel.open_explanation(settings.attr('filepath'), settings.attr('username'), $(this).attr('permission_name'));
+    emitter.dispatchEvent(new CustomEvent('userEvent', { detail: new ClickEntry(ActionEnum.CLICK, (e.clientX + window.pageXOffset), (e.clientY + window.pageYOffset), e.target.id, new Date().getTime()) }));
+});
+
+// ------------------------------
+// Undo/redo (see controller.js)
+// ------------------------------
+
+// reload everything which shows permissions, after they were changed by undo/redo
+function refresh_permission_views() {
+    let filepath = perm_dialog.attr('filepath');
+    if (filepath) {
+        perm_dialog.attr('filepath', filepath); // force reload 'permissions' dialog
+    }
+    if ($('#advdialog').dialog('isOpen')) {
+        open_advanced_dialog($('#advdialog').attr('filepath'));
+    }
+    $(document).trigger('permissionsChanged');
+}
+
+// Keyboard shortcuts in the permissions dialogs: Ctrl+Z to undo, Ctrl+Y or Ctrl+Shift+Z to redo (Cmd instead of Ctrl on Mac)
+perm_dialog.parent().add(adv_contents.parent()).on('keydown', function (e) {
+    if (!(e.ctrlKey || e.metaKey)) {
+        return;
+    }
+    let key = e.key.toLowerCase();
+    let command = null;
+    if (key === 'z' && !e.shiftKey) {
+        command = undo();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        command = redo();
+    } else {
+        return;
+    }
+    e.preventDefault();
+    if (command !== null) {
+        refresh_permission_views();
+    }
+});
+
 // ------------------------------
 // User select dialog
 // ------------------------------
 
-// Enlarge the user select dialog for better usability
-let user_select_contents = $("#user_select_dialog").dialog({
+// the user picker for the advanced dialog (see define_user_picker), with the ids its own dialog used to have.
+// Its items get their own prefix (adv_user_select_<name>), so they can't be mistaken for those of user_picker (user_select_<name>).
+// Enlarged for better usability.
+advanced_user_picker = define_user_picker('adv_user_select', 'Select Users or Groups', {
+    dialog: 'user_select_dialog',
+    container: 'user_select_container',
+    list: 'user_select_all_users',
+    ok_button: 'user-select-ok-button',
+    cancel_button: 'user-select-cancel-button',
+    search: 'baseline_user_select',
+}, {
     height: 620,   // was 450
     width: 520,    // was 400
-    modal: true,
-    autoOpen: false,
-    appendTo: "#html-loc",
-    position: { my: "top", at: "top", of: $('#html-loc') },
-    buttons: {
-        Cancel: {
-            text: "Cancel",
-            id: "user-select-cancel-button",
-            click: function () {
-                $(this).dialog("close");
-            },
-        },
-        OK: {
-            text: "OK",
-            id: "user-select-ok-button",
-            click: function () {
-                // populate field with user name (assume these are stored in attributes)
-                let to_populate_id = $(this).attr('to_populate');
-                let selected_value = $(this).attr('username');
-                $(`#${to_populate_id}`).text(selected_value);
-                $(`#${to_populate_id}`).attr('selected_user', selected_value);
-                $(this).dialog("close");
-            }
-        }
-    }
 });
 
 
@@ -30,7 +30,7 @@ function define_attribute_observer(watched_elem_selector, watched_attribute, on_
 
 // Make an element for a user - this element would usually go into a selectable list of users. 
 // The element automatically creates an icon which varies based on whether it's a singular user or a group, 
-// and also adds any attributes you pass along
+// shows the display name from the principal directory (with the description as a tooltip), and also adds any attributes you pass along
 // If it's a group, adds expandable functionality to show member users
 function make_user_elem(id_prefix, uname, user_attributes=null) {
     let user_or_group = all_users[uname];
@@ -45,8 +45,9 @@ function make_user_elem(id_prefix, uname, user_attributes=null) {
     user_elem = $(`<div class="ui-widget-content user-or-group-item ${is_group ? 'group-item' : 'user-item'}" id="${id_prefix}_${uname}" name="${uname}">
         ${chevron_html}
         <span id="${id_prefix}_${uname}_icon" class="oi ${is_group ? 'oi-people' : 'oi-person'}"/> 
-        <span id="${id_prefix}_${uname}_text" style="${is_group ? 'cursor:pointer;font-weight:500;' : ''}">${uname}</span>
+        <span id="${id_prefix}_${uname}_text" style="${is_group ? 'cursor:pointer;font-weight:500;' : ''}">${get_display_name(uname)}</span>
     </div>`)
+    user_elem.attr('title', get_principal_title(uname))
 
     if (user_attributes) {
         // if we need to add the user's attributes: go through the properties for that user and add each as an attribute to user_elem.
@@ -96,6 +97,12 @@ function make_user_elem(id_prefix, uname, user_attributes=null) {
 }
 
 
+// tooltip text for a user or group in a list: the account name, plus the description from the principal directory if there is one
+function get_principal_title(uname) {
+    let description = get_principal_description(uname)
+    return description ? `${uname}: ${description}` : uname
+}
+
 // make a list of users, suitable for inserting into a select list, given a map of user name to some arbitrary info.
 // optionally, adds all the properties listed for a given user as attributes for that user's element.
 function make_user_list(id_prefix, usermap, add_attributes = false) {
@@ -108,14 +115,16 @@ function make_user_list(id_prefix, usermap, add_attributes = false) {
         // If it's a group, also create member elements
         let user_or_group = all_users[uname];
         if(!is_user(user_or_group) && user_or_group.users) {
-            console.log(`Creating member elements for group: ${uname}, members:`, user_or_group.users);
-            for(let member_name of user_or_group.users) {
+            let member_names = get_group_members(user_or_group) // includes members of nested groups
+            console.log(`Creating member elements for group: ${uname}, members:`, member_names);
+            for(let member_name of member_names) {
                 console.log(`  Creating member element for: ${member_name} with data-group-parent="${id_prefix}_${uname}"`);
                 let member_elem = $(`<div class="ui-widget-content group-member-item" id="${id_prefix}_${uname}_member_${member_name}" name="${member_name}" data-group-parent="${id_prefix}_${uname}" data-is-member="true" style="display:none;padding-left:30px;background-color:#f9f9f9;font-size:0.9em;cursor:pointer;">
                     <span class="oi oi-person" style="font-size:0.8em;color:#666;margin-right:4px;"/> 
-                    <span>${member_name}</span>
-                    <span style="color:#999;font-size:0.85em;margin-left:6px;">(from ${uname})</span>
+                    <span>${get_display_name(member_name)}</span>
+                    <span style="color:#999;font-size:0.85em;margin-left:6px;">(from ${get_display_name(uname)})</span>
                 </div>`)
+                member_elem.attr('title', get_principal_title(member_name))
                 
                 // Make member selectable - when clicked, create a standalone entry for individual permission editing
                 member_elem.click(function(e) {
@@ -200,6 +209,23 @@ function make_user_list(id_prefix, usermap, add_attributes = false) {
 }
 
 
+// Make the icon which marks a permission as effective for a given file and user or group, or return null if it isn't effective.
+// For a group, a check mark means every member is allowed, and a dash means only some of the members are allowed (listed in the tooltip).
+function make_effective_permission_icon(icon_id, file_obj, user_or_group, permission) {
+    if(is_user(user_or_group)) {
+        return allow_user_action(file_obj, user_or_group, permission) ? $(`<span id="${icon_id}" class="oi oi-check"/>`) : null
+    }
+    let group_permission = get_group_effective_permission(file_obj, user_or_group, permission)
+    if(group_permission.all_members) {
+        return $(`<span id="${icon_id}" class="oi oi-check" title="Allowed for all members"/>`)
+    }
+    if(group_permission.some_members) {
+        return $(`<span id="${icon_id}" class="oi oi-minus" title="Allowed only for some members: ${group_permission.allowed_members.join(', ')}"/>`)
+    }
+    return null
+}
+
+
 // --- helper functions to define various semi-permanent elements.
 // --- Only call these once for each new dialog/selection/item etc. you are defining! (NOT each time you want to open/close/hide a dialog)
 
@@ -280,13 +306,51 @@ function define_single_select_list(id_prefix, on_selection_change = function(sel
     return select_list
 }
 
+// define a list which allows selecting several items at once (Ctrl/Cmd+click or drag), e.g. for batch edits.
+// Only elements with a *name* attribute can be selected.
+// The names of the selected items are stored, comma-separated, in the list's *selected_items* attribute,
+// and get_selected() returns them as an array.
+function define_multi_select_list(id_prefix, on_selection_change = function(selected_item_names, e){}) {
+    let select_list = $(`<div id="${id_prefix}" style="overflow-y:scroll"></div>`).selectable({
+        filter: '[name]',
+        stop: function(e) {
+            let selected_item_names = select_list.get_selected()
+            $( this ).attr('selected_items', selected_item_names.join(','))
+
+            on_selection_change(selected_item_names, e)
+
+            emitter.dispatchEvent(new CustomEvent('userEvent', { 
+                detail: new ClickEntry(
+                    ActionEnum.CLICK, 
+                    (e.clientX + window.pageXOffset), 
+                    (e.clientY + window.pageYOffset), 
+                    `${$( this ).attr('id')} selected: ${selected_item_names.join(', ')}`,
+                    new Date().getTime()) 
+            }))
+        }
+    })
+
+    select_list.get_selected = function() {
+        return select_list.find('.ui-selected').map(function() { return $(this).attr('name') }).get()
+    }
+
+    select_list.unselect = function() {
+        select_list.find('.ui-selectee').removeClass('ui-selected')
+        select_list.attr('selected_items', '')
+        on_selection_change([], null)
+    }
+
+    return select_list
+}
+
  
 // define an element which will display effective permissions for a given file and user
 // It expects the file path to be stored in its *filepath* attribute, 
 // and the user name to be stored in its *username* attribute 
 // when either changes, the panel attempts to recalculate the effective permissions.
+// If the username is a group, a check mark shows what every member is guaranteed, and a dash shows what only some members get.
 // - id_prefix is a (required) unique string which will be prepended to all the generated elements.
-// - add_info_col is a boolean for whether you want a third column with "info" buttons (which do nothing by default)
+// - add_info_col is a boolean for whether you want a third column with "info" buttons (which open the explanation panel, see view_baseline.js)
 // - returns the jquery object for the effective permissions panel, ready to be attached/appended anywhere you want it.
 function define_new_effective_permissions(id_prefix, add_info_col = false, which_permissions = null){
     // Set up the table:
@@ -305,7 +369,7 @@ function define_new_effective_permissions(id_prefix, add_info_col = false, which
             <td id="${id_prefix}_name_${p_id}" class="effective_perm_name">${p}</td>
         </tr>
         `)
-        // If we want to add an additional info column (which does nothing by default)
+        // If we want to add an additional info column (which opens the explanation panel for this permission)
         if(add_info_col) {
             row.append(`
             <td id="${id_prefix}_${p_id}_info_cell" width="32px" style="text-align:right">
@@ -326,14 +390,15 @@ function define_new_effective_permissions(id_prefix, add_info_col = false, which
             //clear out the checkboxes:
             effective_container.find(`.effectivecheckcell`).empty()
 
-            // Set checkboxes correctly for given file and user:
+            // Set checkboxes correctly for given file and user (or group):
             for(let p of which_permissions) {
                 let p_id = p.replace(/[ \/]/g, '_') //get jquery-readable id
                 // if the actual model would allow an action with permission
-                if( allow_user_action(path_to_file[filepath], all_users[username], p)) {
-                    // This action is allowed. Find the checkbox cell and put a checkbox there.
+                let effective_icon = make_effective_permission_icon(`${id_prefix}_checkbox_${p_id}`, path_to_file[filepath], all_users[username], p)
+                if(effective_icon) {
+                    // This action is allowed (for a group: for all or some members). Find the checkbox cell and put the icon there.
                     let this_checkcell = effective_container.find(`#${id_prefix}_checkcell_${p_id}`)
-                    this_checkcell.append(`<span id="${id_prefix}_checkbox_${p_id}" class="oi oi-check"/>`)
+                    this_checkcell.append(effective_icon)
                 }
             }
         }
@@ -804,6 +869,7 @@ function define_file_permission_groups_list(id_prefix){
                 <th id="${id_prefix}_header_name">Name</th>
                 <th id="${id_prefix}_header_permission">Permission</th>
                 <th id="${id_prefix}_header_inherited">Inherited from</th>
+                <th id="${id_prefix}_header_applies_to">Applies to</th>
             </tr>
         </table>
     `)
@@ -829,6 +895,7 @@ function define_file_permission_groups_list(id_prefix){
                             <td id="${id_prefix}_${file_obj.filename}__${u}_${ace_type}_${perm}_name">${u}</td>
                             <td id="${id_prefix}_${file_obj.filename}__${u}_${ace_type}_${perm}_permission">${perm}</td>
                             <td id="${id_prefix}_${file_obj.filename}__${u}_${ace_type}_${perm}_type">${grouped_perms[ace_type][perm].inherited?"Parent Object":"(not inherited)"}</td>
+                            <td id="${id_prefix}_${file_obj.filename}__${u}_${ace_type}_${perm}_applies_to">${grouped_perms[ace_type][perm].applies_to.join('; ')}</td>
                         </tr>`)
                     }
                 }
@@ -843,78 +910,414 @@ function define_file_permission_groups_list(id_prefix){
 }
 
 
-// -- a general-purpose User Select dialog which can be opened when we need to select a user. -- 
+// Describe where a user's (effective) permission comes from, for a tooltip: the deciding ACE, or the rule which applied.
+function get_permission_source_text(file_obj, user_or_group, permission) {
+    if(!is_user(user_or_group)) {
+        let group_permission = get_group_effective_permission(file_obj, user_or_group, permission)
+        return `Allowed for: ${group_permission.allowed_members.join(', ') || 'nobody'}; denied for: ${group_permission.denied_members.join(', ') || 'nobody'}`
+    }
+    let explanation = allow_user_action(file_obj, user_or_group, permission, true)
+    let text = explanation.is_allowed ? 'Allowed' : 'Denied'
+    if(explanation.ace_responsible) {
+        let ace = explanation.ace_responsible
+        text += ` by the ${ace.is_allow_ace ? 'allow' : 'deny'} entry for ${get_user_name(ace.who)} on ${get_full_path(explanation.file_responsible)}`
+    }
+    if(explanation.text_explanation) {
+        text += ` (${explanation.text_explanation})`
+    }
+    return text
+}
+
+// Define a matrix of every permission (rows) for every user and group in all_users (columns), for a given file.
+// It expects the file path to be stored in its *filepath* attribute, and updates when it changes or permissions change ('permissionsChanged').
+// Each cell shows the ACEs which set that permission for that user or group on the file 
+// (A for allow, D for deny; lowercase if inherited), and a check mark if the permission is effective (see make_effective_permission_icon).
+// Hovering over a cell shows where the effective permission comes from.
+// - id_prefix is a (required) unique string which will be prepended to all the generated elements.
+// - returns the jquery object for the matrix, ready to be attached/appended anywhere you want it.
+function define_permission_matrix(id_prefix, which_permissions = null) {
+    // If no subset of permissions is passed in, use all of them.
+    if(which_permissions === null) {
+        which_permissions = Object.values(permissions)
+    }
+
+    let matrix_container = $(`<div id="${id_prefix}" class="ui-widget-content" style="overflow:auto">
+        <table id="${id_prefix}_table" class="permission_matrix"></table>
+        <div id="${id_prefix}_legend" style="font-size:0.85em;color:#666;">
+            A: allow entry, D: deny entry (lowercase: inherited); <span class="oi oi-check" id="${id_prefix}_legend_icon"></span>: effective permission. Hover over a cell for details.
+        </div>
+    </div>`)
+    let matrix_table = matrix_container.find(`#${id_prefix}_table`)
 
-// Make a selectable list which will store all of the users, and automatically keep track of which one is selected.
-all_users_selectlist = define_single_select_list('user_select_list')
+    let update_matrix = function() {
+        matrix_table.empty()
 
-// Make the elements which reperesent all users, and add them to the selectable
-all_user_elements = make_user_list('user_select', all_users)
-all_users_selectlist.append(all_user_elements)
+        let filepath = matrix_container.attr('filepath')
+        if(!(filepath && filepath.length > 0 && (filepath in path_to_file))) {
+            return
+        }
+        let file_obj = path_to_file[filepath]
+        let usernames = Object.keys(all_users).filter(uname => !is_special_principal(all_users[uname]))
+
+        let header_row = $(`<tr id="${id_prefix}_header"><th id="${id_prefix}_header_permission">Permission</th></tr>`)
+        for(let uname of usernames) {
+            header_row.append(`<th id="${id_prefix}_header_${uname}">
+                <span class="oi ${is_user(all_users[uname]) ? 'oi-person' : 'oi-people'}" id="${id_prefix}_header_${uname}_icon"></span> ${uname}
+            </th>`)
+        }
+        matrix_table.append(header_row)
 
-// Make the dialog:
-user_select_dialog = define_new_dialog('user_select_dialog2', 'Select User', {
-    buttons: {
-        Cancel: {
-            text: "Cancel",
-            id: "user_select_cancel_button",
-            click: function() {
-                $( this ).dialog( "close" );
-            },
-        },
-        OK: {
-            text: "OK",
-            id: "user_select_ok_button",
-            click: function() {
-                // When "OK" is clicked, we want to populate some other element with the selected user name 
-                //(to pass along the selection information to whoever opened this dialog)
-                let to_populate_id = $(this).attr('to_populate') // which field do we need to populate?
-                // console.log("populate id " + to_populate_id);
-                let selected_value = all_users_selectlist.attr('selected_item') // what is the user name that was selected?
-                // console.log("selected item " + selected_value);
-                $(`#${to_populate_id}`).attr('selected_user', selected_value) // populate the element with the id
-                $( this ).dialog( "close" );
+        // the explicit and inherited ACEs for each user, by type and permission (see get_total_permissions):
+        let total_permissions = {}
+        for(let uname of usernames) {
+            total_permissions[uname] = get_total_permissions(file_obj, uname)
+        }
+
+        for(let p of which_permissions) {
+            let p_id = p.replace(/[ \/]/g, '_') //get jquery-readable id
+            let row = $(`<tr id="${id_prefix}_row_${p_id}" permission_name="${p}"><td id="${id_prefix}_name_${p_id}">${p}</td></tr>`)
+            for(let uname of usernames) {
+                let cell = $(`<td id="${id_prefix}_cell_${p_id}_${uname}" class="permission_matrix_cell" username="${uname}" permission_name="${p}" style="text-align:center"></td>`)
+                for(let ace_type of ['allow', 'deny']) {
+                    let setting = total_permissions[uname][ace_type][p]
+                    if(setting) {
+                        let marker = ace_type === 'allow' ? 'A' : 'D'
+                        cell.append(`<span id="${id_prefix}_cell_${p_id}_${uname}_${ace_type}" class="permission_matrix_${ace_type}">${setting.inherited ? marker.toLowerCase() : marker}</span> `)
+                    }
+                }
+                let effective_icon = make_effective_permission_icon(`${id_prefix}_cell_${p_id}_${uname}_effective`, file_obj, all_users[uname], p)
+                if(effective_icon) {
+                    cell.append(effective_icon)
+                }
+                cell.attr('title', get_permission_source_text(file_obj, all_users[uname], p))
+                row.append(cell)
             }
+            matrix_table.append(row)
         }
     }
-})
 
-// add stuff to the dialog:
-user_select_dialog.append(all_users_selectlist)
+    define_attribute_observer(matrix_container, 'filepath', update_matrix)
+    $(document).on('permissionsChanged', update_matrix)
+
+    return matrix_container
+}
+
+
+// Define a dialog which explains why a user or group is (or isn't) allowed to do something to a file, using allow_user_action(..., explain_why=true):
+// the ACE which decided, the file it is set on, the group through which it applied, and the full evaluation trace.
+// Call open_explanation(filepath, username, permission) on the returned dialog to show it.
+// - id_prefix is a (required) unique string which will be prepended to all the generated elements.
+// - on_open_file(filepath, username) is called when the link to the file with the deciding ACE is clicked
+//   (with the principal of that ACE), e.g. to open the permissions dialog there.
+function define_explanation_panel(id_prefix, on_open_file = function(filepath, username){}) {
+    let panel = define_new_dialog(id_prefix, 'Why?', { width: 500 })
+    panel.append(`
+        <div id="${id_prefix}_question" class="section"></div>
+        <div id="${id_prefix}_answer" class="section" style="font-weight:bold"></div>
+        <table id="${id_prefix}_details" class="section">
+            <tr id="${id_prefix}_ace_row"><td id="${id_prefix}_ace_label">Entry:</td><td id="${id_prefix}_ace"></td></tr>
+            <tr id="${id_prefix}_file_row"><td id="${id_prefix}_file_label">Set on:</td><td id="${id_prefix}_file"></td></tr>
+            <tr id="${id_prefix}_group_row"><td id="${id_prefix}_group_label">Applies through group:</td><td id="${id_prefix}_group"></td></tr>
+        </table>
+        <div id="${id_prefix}_rule" class="section"></div>
+        <div id="${id_prefix}_link_line" class="section"><a href="#" id="${id_prefix}_open_link"></a></div>
+        <details id="${id_prefix}_trace_section">
+            <summary id="${id_prefix}_trace_title">All steps</summary>
+            <pre id="${id_prefix}_trace" style="white-space:pre-wrap;font-size:0.85em;"></pre>
+        </details>
+    `)
 
-// Call this function whenever you need a user select dialog; it will automatically populate the 'selected_user' attribute of the element with id to_populate_id
-function open_user_select_dialog(to_populate_id) {
-    // TODO: reset selected user?..
+    let open_link = panel.find(`#${id_prefix}_open_link`)
+    open_link.click(function(e) {
+        e.preventDefault()
+        emitter.dispatchEvent(new CustomEvent('userEvent', { detail: new ClickEntry(ActionEnum.CLICK, (e.clientX + window.pageXOffset), (e.clientY + window.pageYOffset), e.target.id, new Date().getTime()) }))
+        panel.dialog('close')
+        on_open_file(open_link.attr('filepath'), open_link.attr('username'))
+    })
+
+    panel.open_explanation = function(filepath, username, permission) {
+        if(!(filepath in path_to_file) || !(username in all_users)) {
+            return
+        }
+        let file_obj = path_to_file[filepath]
+        let user_or_group = all_users[username]
+        let explanation = allow_user_action(file_obj, user_or_group, permission, true, true)
+        let ace = explanation.ace_responsible
+
+        panel.find(`#${id_prefix}_question`).text(`Can ${username} ${permission} ${filepath}?`)
+        panel.find(`#${id_prefix}_answer`).text(explanation.is_allowed ? 'Yes' : 'No')
+        panel.find(`#${id_prefix}_details`).toggle(ace !== null)
+        if(ace !== null) {
+            panel.find(`#${id_prefix}_ace`).text(`${ace.is_allow_ace ? 'Allow' : 'Deny'} ${ace.permission} for ${get_user_name(ace.who)} (${ace.applies_to})`)
+            panel.find(`#${id_prefix}_file`).text(get_full_path(explanation.file_responsible) + (explanation.file_responsible === file_obj ? '' : ' (inherited)'))
+            let membership_path = is_user(ace.who) ? null : get_membership_path(username, ace.who)
+            panel.find(`#${id_prefix}_group_row`).toggle(membership_path !== null)
+            panel.find(`#${id_prefix}_group`).text(membership_path === null ? '' : membership_path.join(' > '))
+        }
+        panel.find(`#${id_prefix}_rule`).text(explanation.text_explanation || '')
+
+        // link to where this can be changed: the file with the deciding ACE, for its principal - or else this file and user.
+        let link_filepath = ace !== null ? get_full_path(explanation.file_responsible) : filepath
+        let link_username = ace !== null ? get_user_name(ace.who) : username
+        open_link.attr('filepath', link_filepath)
+        open_link.attr('username', link_username)
+        open_link.text(`Open the permissions of ${link_filepath} for ${link_username}`)
+
+        panel.find(`#${id_prefix}_trace_section`).toggle(explanation.trace !== null)
+        panel.find(`#${id_prefix}_trace`).text(explanation.trace !== null ? get_trace_text(explanation.trace) : '')
+
+        panel.dialog('open')
+    }
 
-    user_select_dialog.attr('to_populate', to_populate_id)
-    user_select_dialog.dialog('open')
+    return panel
 }
 
-// define a new user-select field which opens up a user-select dialog and stores the result in its own selected_user attribute.
-// The resulting jquery element contains a field and a button. The field's text also gets populated with the selected user.
+
+// -- search, filtering and "Check Names" for lists of users --
+
+// Make controls for finding users in a list of users (e.g. from make_user_list): a search field which filters the list as you type
+// (by user name, display name, or the members of a group), a filter for users vs. groups, the up/down arrow keys to move the selection
+// and Enter to confirm it, and a "Check Names" button which resolves the typed name like Windows does (see resolve_user_name).
+// - get_list is a function which returns the list (lists may be rebuilt, e.g. each time a dialog opens).
+// - name_attr is the attribute which holds the user name of each item in the list.
+// - select_item is a function(item) which selects the given item (a jquery element) the same way clicking it would.
+// - on_confirm is called when Enter is pressed with an item selected.
+// Call .reset() on the returned element whenever the list is rebuilt.
+function define_user_search(id_prefix, get_list, name_attr, select_item, on_confirm = function(){}) {
+    let search = $(`<div id="${id_prefix}_search" class="section">
+        <input type="text" id="${id_prefix}_search_field" placeholder="Search users and groups" autocomplete="off" style="width:60%"/>
+        <button class="ui-button ui-widget ui-corner-all" id="${id_prefix}_check_names_button">Check Names</button>
+        <div id="${id_prefix}_search_filters">
+            <label id="${id_prefix}_filter_all_label"><input type="radio" name="${id_prefix}_filter" value="all" id="${id_prefix}_filter_all" checked/> All</label>
+            <label id="${id_prefix}_filter_users_label"><input type="radio" name="${id_prefix}_filter" value="users" id="${id_prefix}_filter_users"/> Users</label>
+            <label id="${id_prefix}_filter_groups_label"><input type="radio" name="${id_prefix}_filter" value="groups" id="${id_prefix}_filter_groups"/> Groups</label>
+        </div>
+        <div id="${id_prefix}_search_status" style="font-size:0.9em;color:#666;"></div>
+    </div>`)
+    let field = search.find(`#${id_prefix}_search_field`)
+    let status = search.find(`#${id_prefix}_search_status`)
+
+    // the top-level items (not the member rows under a group)
+    let get_items = function() {
+        return get_list().children(`[${name_attr}]`).not('[data-is-member="true"]')
+    }
+    let get_shown_items = function() {
+        return get_items().filter(function() { return $(this).css('display') !== 'none' })
+    }
+
+    let matches = function(uname, query, kind) {
+        let user_or_group = all_users[uname]
+        if(user_or_group === undefined || (kind === 'users' && !is_user(user_or_group)) || (kind === 'groups' && is_user(user_or_group))) {
+            return false
+        }
+        let names = is_user(user_or_group) ? [uname] : [uname].concat(get_group_members(user_or_group))
+        return names.some(name => name.toLowerCase().includes(query) || get_display_name(name).toLowerCase().includes(query))
+    }
+
+    let apply_filter = function() {
+        let query = field.val().trim().toLowerCase()
+        let kind = search.find(`input[name="${id_prefix}_filter"]:checked`).val()
+        get_items().each(function() {
+            $(this).toggle(matches($(this).attr(name_attr), query, kind))
+        })
+        // member rows go away with their group (they stay collapsed until the group is clicked):
+        get_list().children('[data-is-member="true"]').hide()
+        get_list().find('.group-chevron').removeClass('oi-chevron-bottom').addClass('oi-chevron-right')
+    }
+
+    let choose = function(item) {
+        select_item(item)
+        item[0].scrollIntoView({block: 'nearest'})
+        emitter.dispatchEvent(new CustomEvent('userEvent', {
+            detail: new ClickEntry(ActionEnum.CLICK, item.offset().left, item.offset().top,
+                `${get_list().attr('id')} selected (keyboard): ${item.attr(name_attr)}`, new Date().getTime())
+        }))
+    }
+
+    field.on('input', function() {
+        status.empty()
+        apply_filter()
+    })
+    search.find(`input[name="${id_prefix}_filter"]`).change(apply_filter)
+
+    field.on('keydown', function(e) {
+        let shown = get_shown_items()
+        let index = shown.index(shown.filter('.ui-selected'))
+        if(e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault()
+            if(shown.length === 0) return
+            index = (e.key === 'ArrowDown') ? Math.min(index + 1, shown.length - 1) : Math.max(index - 1, 0)
+            choose(shown.eq(index))
+        }
+        else if(e.key === 'Enter') {
+            e.preventDefault()
+            if(index >= 0) on_confirm()
+        }
+    })
+
+    search.find(`#${id_prefix}_check_names_button`).click(function() {
+        let typed = field.val()
+        let found = resolve_user_name(typed)
+        if(found.length === 1) {
+            field.val(found[0])
+            search.find(`#${id_prefix}_filter_all`).prop('checked', true)
+            apply_filter()
+            choose(get_items().filter(function() { return $(this).attr(name_attr) === found[0] }))
+            status.text(`Found: ${get_display_name(found[0])}`)
+        }
+        else if(found.length > 1) {
+            status.text(`Several users or groups match "${typed.trim()}": ${found.join(', ')}. Type more of the name, or pick one from the list.`)
+        }
+        else {
+            status.text(`No user or group called "${typed.trim()}" was found.`)
+        }
+    })
+
+    search.reset = function() {
+        field.val('')
+        status.empty()
+        search.find(`#${id_prefix}_filter_all`).prop('checked', true)
+        apply_filter()
+    }
+
+    return search
+}
+
+
+// -- User picker: a dialog for choosing users and groups, used wherever a user has to be picked. --
+
+/*
+Make a user picker dialog. Call .pick() on the returned dialog to open it.
+ids can override the element ids of its parts, so that each picker keeps the ids the logs already refer to. They default to:
+ - dialog: `${id_prefix}_dialog`, list: `${id_prefix}_list`, ok_button: `${id_prefix}_ok_button`, cancel_button: `${id_prefix}_cancel_button`
+ - search: id_prefix (the id prefix for define_user_search)
+ - container: null (if given, the id of an element around the list)
+The items in the list get ids starting with id_prefix (see make_user_list). dialog_options are passed on to define_new_dialog.
+*/
+function define_user_picker(id_prefix, title, ids = {}, dialog_options = {}) {
+    ids = Object.assign({
+        dialog: `${id_prefix}_dialog`,
+        list: `${id_prefix}_list`,
+        ok_button: `${id_prefix}_ok_button`,
+        cancel_button: `${id_prefix}_cancel_button`,
+        search: id_prefix,
+        container: null,
+    }, ids)
+
+    let list = $() // (made anew each time the picker opens, since users and groups may have changed)
+    let is_multiple = false
+    let pending_resolve = null
+
+    // resolve the promise returned by pick(), if it hasn't been already
+    let finish = function(names) {
+        if(pending_resolve !== null) {
+            let resolve = pending_resolve
+            pending_resolve = null
+            resolve(names)
+        }
+    }
+    let get_selected = function() {
+        if(is_multiple) {
+            return list.get_selected()
+        }
+        return list.attr('selected_item') ? [list.attr('selected_item')] : []
+    }
+
+    let picker = define_new_dialog(ids.dialog, title, Object.assign({
+        buttons: {
+            Cancel: {
+                text: "Cancel",
+                id: ids.cancel_button,
+                click: function() {
+                    $( this ).dialog( "close" );
+                },
+            },
+            OK: {
+                text: "OK",
+                id: ids.ok_button,
+                click: function() {
+                    finish(get_selected())
+                    $( this ).dialog( "close" );
+                }
+            }
+        },
+        close: function() {
+            finish(null) // (closed without OK)
+            list.remove() // (so the item ids are only in the page while the picker is open)
+        }
+    }, dialog_options))
+
+    let search = define_user_search(ids.search, () => list, 'name', function(item) {
+        item.addClass('ui-selected').siblings().removeClass('ui-selected')
+        list.attr(is_multiple ? 'selected_items' : 'selected_item', item.attr('name'))
+    }, function() {
+        $(`#${ids.ok_button}`).click()
+    })
+    picker.append(search)
+    let container = picker
+    if(ids.container !== null) {
+        container = $(`<div id="${ids.container}"></div>`)
+        picker.append(container)
+    }
+
+    // Open the picker. Returns a Promise which resolves to the list of names which were chosen (at most one unless multiple is true),
+    // or to null if the picker was cancelled.
+    picker.pick = function({multiple = false} = {}) {
+        finish(null) // (in case it is already open)
+        is_multiple = multiple
+        list.remove()
+        list = multiple ? define_multi_select_list(ids.list) : define_single_select_list(ids.list)
+        list.css({'max-height': '300px'})
+        list.append(make_user_list(id_prefix, all_users))
+        container.append(list)
+        search.reset()
+
+        return new Promise(function(resolve) {
+            pending_resolve = resolve
+            picker.dialog('open')
+            search.find(`#${ids.search}_search_field`).focus()
+        })
+    }
+
+    return picker
+}
+
+// the picker for the permissions dialog (see define_new_user_select_field)
+user_picker = define_user_picker('user_select', 'Select User', { dialog: 'user_select_dialog2' })
+
+// define a new user-select field which opens up the user picker, and shows the chosen user in a field.
+// The resulting jquery element contains a field and a button.
 // - id_prefix is the required id prefix that will be attached to all element ids.
 // - select_button_text is the text that will go on the button
-// - on_user_change is an additional function you can pass in, which will be called each time a user is selected.
-function define_new_user_select_field(id_prefix, select_button_text, on_user_change = function(selected_user){}){
+// - on_user_change is an additional function you can pass in, which will be called with each user that is chosen.
+// - multiple: whether several users can be chosen at once
+// Setting the field's selected_user attribute from elsewhere also chooses that user.
+function define_new_user_select_field(id_prefix, select_button_text, on_user_change = function(selected_user){}, multiple = false){
     // Make the element:
     let sel_section = $(`<div id="${id_prefix}_line" class="section">
             <span id="${id_prefix}_field" class="ui-widget-content" style="width: 80%;display: inline-block;">&nbsp</span>
             <button id="${id_prefix}_button" class="ui-button ui-widget ui-corner-all">${select_button_text}</button>
         </div>`)
-
-    // Open user select on button click:
-    sel_section.find(`#${id_prefix}_button`).click(function(){
-        open_user_select_dialog(`${id_prefix}_field`)
-    })
-
-    // Set up an observer to watch the attribute change and change the field
     let field_selector = sel_section.find(`#${id_prefix}_field`)
-    define_attribute_observer(field_selector, 'selected_user', function(new_username){
+
+    let choose_user = function(new_username) {
         field_selector.text(new_username)
         // call the function for additional processing of user change:
         on_user_change(new_username)
+    }
+
+    // Open the user picker on button click:
+    sel_section.find(`#${id_prefix}_button`).click(function(){
+        user_picker.pick({multiple: multiple}).then(function(usernames) {
+            for(let username of (usernames || [])) {
+                choose_user(username)
+            }
+        })
     })
 
+    // Set up an observer to watch the attribute change and change the field
+    define_attribute_observer(field_selector, 'selected_user', choose_user)
+
     return sel_section
 }
 
@@ -931,6 +1334,32 @@ function get_explanation_text(explanation) {
     `
 }
 
+// Get a step-by-step text walkthrough of a permissions trace (see make_trace in model.js), one line per step.
+function get_trace_text(trace) {
+    let lines = [`Can ${trace.user} ${trace.permission} ${trace.file}?`]
+    for(let level of trace.levels) {
+        lines.push(`${level.inherited ? 'Inherited from' : 'Set on'} ${level.file}:`)
+        if(level.aces.length === 0) {
+            lines.push('    (no permission entries)')
+        }
+        for(let ace of level.aces) {
+            let via = (ace.match === 'group') ? ` (member through ${ace.via_groups.join(' > ')})` : ''
+            let outcome = (ace.result === 'skipped') ? `skipped: ${ace.skip_reason}` : ace.result
+            lines.push(`    ${ace.type} ${ace.who}${via}: ${ace.permission} [${ace.applies_to}] - ${outcome}`)
+        }
+    }
+    lines.push(`Stopped because: ${trace.stop_reason}`)
+    // (a group's trace has each member's trace instead of levels, see make_group_trace)
+    for(let member of trace.members || []) {
+        lines.push('')
+        lines.push(`${member.user}: ${member.is_allowed ? 'allowed' : 'not allowed'}`)
+        for(let line of get_trace_text(member.trace).split('\n')) {
+            lines.push(`    ${line}`)
+        }
+    }
+    return lines.join('\n')
+}
+
 //---- some universal HTML set-up so you don't have to do it in each wrapper.html ----
 $('#filestructure').css({
     'display':'inline-block',